@@ -0,0 +1,3683 @@
+// Input formats the converter reads (findSRTFiles in srt2eaf.js looks for these)
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa', '.textgrid'];
+
+// Advanced SubStation Alpha and its predecessor share one Dialogue syntax
+const ASS_EXTENSIONS = ['.ass', '.ssa'];
+
+// [Events] fields of ASS (v4+) files without a Format line; SSA has Marked
+// in place of Layer. Text is always last and may contain commas
+const DEFAULT_ASS_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+// Speaker labels recognised by --split-speakers. The first capture group is the
+// speaker name; a pattern without one marks a dialogue turn (dialogue dashes),
+// which names nobody
+const DEFAULT_SPEAKER_PATTERNS = [
+    '^\\[([^\\]]+)\\]\\s*', // [Maria] ...
+    '^<v(?:\\.[^\\s>]*)?\\s+([^>]+)>\\s*', // <v Maria> ...
+    "^(\\p{Lu}[\\p{L}\\p{N}._'-]*(?: \\p{Lu}[\\p{L}\\p{N}._'-]*){0,3}):\\s*", // INT: ... / Juan Pérez: ...
+    '^[-–—]\\s*' // - ...
+];
+
+// Group key of dialogue dash turns in processSpeakerFile, apart from any speaker name
+const DIALOGUE_TURNS = Symbol('dialogue');
+
+// Frequent Chinese characters (simplified and traditional forms), used to tell
+// GB18030 text from Big5 text when both decode without errors
+const COMMON_HAN_CHARACTERS = '的一是不了人我在有他中大和地到以要就出也你生能而子那得于着下自之年作用道行所然家事成方多去如都同当面起看定天分好小部其些主理心她本前但只想日者意无力它与长把十民第公此已工使情明性知全三又点正业'
+    + '这个们来为国说时会对发么过后里种现动还进样从实经学开没话问'
+    + '這個們來為國說時會對發麼過後裡種現動還進樣從實經學開沒話問';
+
+// Linguistic types the converter writes; CONSTRAINTS name a stereotype below
+const LINGUISTIC_TYPES = {
+    'default-lt': { timeAlignable: true, constraint: null },
+    'translation': { timeAlignable: false, constraint: 'Symbolic_Association' },
+    'formatting': { timeAlignable: false, constraint: 'Symbolic_Association' },
+    'srt-index': { timeAlignable: false, constraint: 'Symbolic_Association' }
+};
+
+// Linguistic types of the dependent tiers --format-tiers adds
+const FORMAT_TIER_TYPES = ['formatting', 'srt-index'];
+
+// Formatting tags as stripFormatting removes them: HTML-style and {...} blocks
+const FORMATTING_TAG = /<[^>]*>|\{[^}]*\}/g;
+// The same tags as separators: odd parts of markup.split() are tags
+const FORMATTING_SPLIT = new RegExp(`(${FORMATTING_TAG.source})`);
+
+// ELAN's standard constraints, in the order ELAN writes them
+const CONSTRAINT_DESCRIPTIONS = {
+    Time_Subdivision: "Time subdivision of parent annotation's time interval, no time gaps allowed within this interval",
+    Symbolic_Subdivision: 'Symbolic subdivision of a parent annotation. Annotations refering to the same parent are ordered',
+    Symbolic_Association: '1-1 association with a parent annotation',
+    Included_In: "Time alignable annotations within the parent annotation's time interval, gaps are allowed"
+};
+
+// Constraints a manifest's own linguistic types may use: none for top-level
+// tiers, Symbolic_Association (translations) and Included_In for dependents
+const MANIFEST_CONSTRAINTS = [null, 'Symbolic_Association', 'Included_In'];
+
+// MIME types of the media files the converter knows
+const MEDIA_TYPES = {
+    '.mp4': 'video/mp4',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4'
+};
+
+// MPEG audio frame headers: kbit/s by bitrate index for MPEG-1 and MPEG-2/2.5
+// layers I-III, and sample rates by version bits (0: 2.5, 2: 2, 3: 1)
+const MPEG_BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+const MPEG_SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+// "story.en" is the English version of "story": stem and language code
+const LANGUAGE_SUFFIX = /^(.+)\.([a-z]{2,3}(?:[-_][a-z0-9]{2,8})?)$/i;
+
+// ISO 639-1 codes (as in story.en.srt) and the ISO 639-3 code for each
+const ISO_639_1_TO_3 = new Map((
+    'aa:aar ab:abk ae:ave af:afr ak:aka am:amh an:arg ar:ara as:asm av:ava ay:aym az:aze ba:bak ' +
+    'be:bel bg:bul bi:bis bm:bam bn:ben bo:bod br:bre bs:bos ca:cat ce:che ch:cha co:cos cr:cre ' +
+    'cs:ces cu:chu cv:chv cy:cym da:dan de:deu dv:div dz:dzo ee:ewe el:ell en:eng eo:epo es:spa ' +
+    'et:est eu:eus fa:fas ff:ful fi:fin fj:fij fo:fao fr:fra fy:fry ga:gle gd:gla gl:glg gn:grn ' +
+    'gu:guj gv:glv ha:hau he:heb hi:hin ho:hmo hr:hrv ht:hat hu:hun hy:hye hz:her ia:ina id:ind ' +
+    'ie:ile ig:ibo ii:iii ik:ipk io:ido is:isl it:ita iu:iku ja:jpn jv:jav ka:kat kg:kon ki:kik ' +
+    'kj:kua kk:kaz kl:kal km:khm kn:kan ko:kor kr:kau ks:kas ku:kur kv:kom kw:cor ky:kir la:lat ' +
+    'lb:ltz lg:lug li:lim ln:lin lo:lao lt:lit lu:lub lv:lav mg:mlg mh:mah mi:mri mk:mkd ml:mal ' +
+    'mn:mon mr:mar ms:msa mt:mlt my:mya na:nau nb:nob nd:nde ne:nep ng:ndo nl:nld nn:nno no:nor ' +
+    'nr:nbl nv:nav ny:nya oc:oci oj:oji om:orm or:ori os:oss pa:pan pi:pli pl:pol ps:pus pt:por ' +
+    'qu:que rm:roh rn:run ro:ron ru:rus rw:kin sa:san sc:srd sd:snd se:sme sg:sag sh:hbs si:sin ' +
+    'sk:slk sl:slv sm:smo sn:sna so:som sq:sqi sr:srp ss:ssw st:sot su:sun sv:swe sw:swa ta:tam ' +
+    'te:tel tg:tgk th:tha ti:tir tk:tuk tl:tgl tn:tsn to:ton tr:tur ts:tso tt:tat tw:twi ty:tah ' +
+    'ug:uig uk:ukr ur:urd uz:uzb ve:ven vi:vie vo:vol wa:wln wo:wol xh:xho yi:yid yo:yor za:zha ' +
+    'zh:zho zu:zul'
+).split(' ').map(pair => pair.split(':')));
+
+// Where --split-longer may cut a cue: after sentence punctuation, followed by
+// whitespace (or directly, for CJK full-width punctuation)
+const SENTENCE_END = /(?<=[.!?…])\s+|(?<=[。！？])\s*/;
+
+// --lenient SRT timing lines: any number of hour digits, ':' ';' or '.'
+// separators, 1-3 millisecond digits (or none), arrow variants with or
+// without spaces, and trailing X1:/Y2: position coordinates
+const LENIENT_TIMESTAMP = '\\d+[:;.]\\d{1,2}[:;.]\\d{1,2}(?:[,.:;]\\d{1,3})?';
+const LENIENT_TIME_RANGE = new RegExp(`^\\s*(${LENIENT_TIMESTAMP})(\\s*(?:-{1,3}>|[–—]>|→)\\s*)(${LENIENT_TIMESTAMP})((?:\\s+[XY][12]:\\s*-?\\d+)*)\\s*$`, 'i');
+
+// Tier languages: ISO 639-3 codes
+const LANGUAGE_CODE_PATTERN = /^[a-z]{3}$/;
+
+// Tier and linguistic type IDs ELAN can use: not empty, no surrounding
+// whitespace and no control characters (XML cannot hold those)
+const ELAN_ID_PATTERN = /^(?!\s)[^\x00-\x1F\x7F]+(?<!\s)$/;
+
+// Document locales: en, en-US or en_US
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:[-_][A-Za-z]{2})?$/;
+
+// Unicode normalisation forms --normalize accepts
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Node encoding names TextDecoder does not know, so they also work in a browser
+const TEXT_DECODER_NAMES = { utf16le: 'utf-16le', ucs2: 'utf-16le' };
+
+// Default AUTHOR when none is given
+const DEFAULT_AUTHOR = 'Multi-SRT-to-ELAN-Converter';
+
+// What adjustSegments counts, as listed per file in the report
+const SEGMENT_COUNTS = ['overlapsFixed', 'merged', 'split', 'gapsFilled'];
+
+// Issue lists in a validation report. Stripped tags and --lenient corrections
+// are listed for reference only; every other entry counts as a problem for --strict
+const REFERENCE_CATEGORIES = ['strippedText', 'corrections'];
+const REPORT_CATEGORIES = [
+    'skippedBlocks',
+    'zeroLengthCues',
+    'duplicateIndices',
+    'nonMonotonicIndices',
+    'overlaps',
+    'unmatchedTranslations',
+    'uncontainedCues',
+    'resyncAdjustments',
+    'extraLines',
+    'pastMediaEnd',
+    'corrections',
+    'strippedText'
+];
+
+// Output writers by --format: the file extension and a function rendering
+// the tier model with a converter, either as one string (write) or as a
+// sequence of strings (chunks) for streaming. Entries added here (or to the
+// exported object) can be used everywhere a format is accepted
+const OUTPUT_WRITERS = {
+    eaf: { extension: '.eaf', chunks: (converter, tiers, options) => converter.generateELANChunks(converter.addFormatTiers(tiers), options) },
+    textgrid: { extension: '.TextGrid', write: (converter, tiers) => converter.generateTextGrid(tiers) },
+    cha: { extension: '.cha', write: (converter, tiers, options) => converter.generateCHAT(tiers, options) },
+    tsv: { extension: '.tsv', write: (converter, tiers) => converter.generateTabDelimited(tiers) },
+    json: { extension: '.json', write: (converter, tiers, options) => converter.generateJSON(tiers, options) }
+};
+
+// The parts of Node's path module the core needs, so it also runs in a
+// browser. Both / and \ separate directories
+const path = {
+    basename(filePath, ext = '') {
+        const name = String(filePath).split(/[\\/]/).pop();
+        return ext && name.endsWith(ext) && name !== ext ? name.slice(0, -ext.length) : name;
+    },
+    extname(filePath) {
+        const name = path.basename(filePath);
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.slice(dot) : '';
+    }
+};
+
+// Four-character code (RIFF chunk ID, MP4 box type, ...) at offset
+function fourCC(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+// Big- and little-endian reads over a Uint8Array or Buffer
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// Parsing, validation and document generation on in-memory text. Nothing here
+// touches the disk; srt2eaf.js adds file handling and the CLI on top
+class ELANConverterCore {
+    constructor(options = {}) {
+        this.allTimeSlots = new Map();
+        this.timeSlotId = 1;
+        this.annotationId = 1;
+        this.tiers = [];
+        this.reservedTierNames = new Set();
+        this.annotationIds = new Map();
+        this.fileEncodings = new Map();
+        this.linguisticTypes = { ...LINGUISTIC_TYPES };
+        this.report = new Map();
+        this.snapReport = null;
+        this.options = {
+            encoding: 'auto',
+            preserveFormatting: false,
+            formatTiers: false,
+            strictValidation: true,
+            splitSpeakers: false,
+            splitStyles: false,
+            lineRoles: null,
+            speakerPatterns: DEFAULT_SPEAKER_PATTERNS,
+            lenient: false,
+            resync: null,
+            segments: null,
+            snapTolerance: null,
+            normalize: null,
+            textRules: [],
+            tierMetadata: {},
+            locale: 'en',
+            date: null,
+            ...options
+        };
+        this.resync = this.resolveResync(this.options.resync);
+        this.segments = this.resolveSegments(this.options.segments);
+        this.snapTolerance = this.options.snapTolerance === null ? null : this.parseTimeValue(this.options.snapTolerance);
+        if (this.snapTolerance !== null && !(this.snapTolerance >= 0)) {
+            throw new Error(`Invalid snap tolerance: ${this.options.snapTolerance} (expected milliseconds or a timestamp)`);
+        }
+        if (this.options.normalize && !NORMALIZATION_FORMS.includes(this.options.normalize)) {
+            throw new Error(`Unknown normalisation form: ${this.options.normalize} (expected: ${NORMALIZATION_FORMS.join(', ')})`);
+        }
+        this.textRules = this.compileTextRules(this.options.textRules);
+        const roles = this.options.lineRoles;
+        if (roles && (roles.length < 2 || roles.some(role => !role) || new Set(roles).size !== roles.length)) {
+            throw new Error(`Invalid line roles: ${roles.join(',')} (expected at least two different names)`);
+        }
+        for (const [target, metadata] of Object.entries(this.options.tierMetadata)) {
+            this.validateLanguageCode(metadata.language, target === '*' ? 'all tiers' : target);
+        }
+        if (this.options.date !== null && isNaN(new Date(this.options.date).getTime())) {
+            throw new Error(`Invalid document date: ${this.options.date}`);
+        }
+        if (!LOCALE_PATTERN.test(this.options.locale)) {
+            throw new Error(`Invalid locale: ${this.options.locale} (expected e.g. en or en-US)`);
+        }
+        this.speakerPatterns = this.options.speakerPatterns.map(pattern => {
+            try {
+                return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'u');
+            } catch (error) {
+                throw new Error(`Invalid speaker pattern "${pattern}": ${error.message}`);
+            }
+        });
+    }
+
+    // Enhanced timestamp parsing with validation
+    parseTimestamp(timestamp) {
+        if (!timestamp || typeof timestamp !== 'string') {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        // Handle both 2-digit and 3-digit milliseconds. Hours may run past 23
+        // and take more than two digits, as in recordings over a day long
+        const timestampRegex = /^(\d{2,}):(\d{2}):(\d{2}),(\d{2,3})$/;
+        const match = timestamp.trim().match(timestampRegex);
+        
+        if (!match) {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        let [, hours, minutes, seconds, milliseconds] = match.map(Number);
+        
+        // Convert 2-digit milliseconds to 3-digit (pad with 0)
+        if (match[4].length === 2) {
+            milliseconds *= 10;
+        }
+        
+        // Validate ranges
+        if (minutes > 59 || seconds > 59 || milliseconds > 999) {
+            throw new Error(`Invalid timestamp values: ${timestamp}`);
+        }
+
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
+    }
+
+    // Time option values: plain (possibly negative) milliseconds or an SRT timestamp
+    parseTimeValue(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const text = String(value).trim();
+        if (/^[-+]?\d+(\.\d+)?$/.test(text)) {
+            return Number(text);
+        }
+        const milliseconds = this.parseTimestamp(text.replace(/^[-+]/, ''));
+        return text.startsWith('-') ? -milliseconds : milliseconds;
+    }
+
+    // Turn offset / frame-rate / anchor settings into one linear map:
+    // new time = old time * scale + offset
+    resolveResync(resync) {
+        if (!resync) {
+            return null;
+        }
+
+        const { offset = 0, fps = null, anchors = [], tiers = null } = resync;
+
+        if (anchors.length > 0) {
+            if (anchors.length !== 2) {
+                throw new Error('Exactly two anchor points are needed (OLD=NEW)');
+            }
+            if (fps || this.parseTimeValue(offset) !== 0) {
+                throw new Error('Anchor points cannot be combined with an offset or frame-rate change');
+            }
+            const [[old1, new1], [old2, new2]] = anchors.map(anchor => {
+                const pair = typeof anchor === 'string' ? anchor.split('=') : anchor;
+                if (pair.length !== 2) {
+                    throw new Error(`Invalid anchor point: ${anchor} (expected OLD=NEW)`);
+                }
+                return pair.map(value => this.parseTimeValue(value));
+            });
+            const scale = (new2 - new1) / (old2 - old1);
+            if (!Number.isFinite(scale) || scale <= 0) {
+                throw new Error('Anchor points must be two different times in the same order before and after');
+            }
+            return { scale, offset: new1 - old1 * scale, tiers };
+        }
+
+        let scale = 1;
+        if (fps) {
+            // Subtitles timed at FROM frames per second, played back at TO
+            const [from, to] = String(fps).split(':').map(Number);
+            if (!(from > 0) || !(to > 0)) {
+                throw new Error(`Invalid frame-rate change: ${fps} (expected FROM:TO, e.g. 25:23.976)`);
+            }
+            scale = from / to;
+        }
+
+        return { scale, offset: this.parseTimeValue(offset), tiers };
+    }
+
+    // Segment clean-up settings, times in milliseconds or as timestamps.
+    // fillGaps is the shortest silence to fill (true: any)
+    resolveSegments(segments) {
+        if (!segments) {
+            return null;
+        }
+
+        const { mergeShorter = null, mergeGap = null, splitLonger = null, fixOverlaps = false, fillGaps = null } = segments;
+        const duration = (value, name) => {
+            if (value === null || value === false) {
+                return null;
+            }
+            const milliseconds = value === true ? 0 : this.parseTimeValue(value);
+            if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+                throw new Error(`Invalid ${name}: ${value} (expected milliseconds or a timestamp)`);
+            }
+            return milliseconds;
+        };
+
+        const resolved = {
+            mergeShorter: duration(mergeShorter, 'minimum cue length'),
+            mergeGap: duration(mergeGap, 'merge gap'),
+            splitLonger: duration(splitLonger, 'maximum cue length'),
+            fixOverlaps: Boolean(fixOverlaps),
+            fillGaps: duration(fillGaps, 'minimum gap to fill')
+        };
+        if (resolved.splitLonger === 0) {
+            throw new Error('Invalid maximum cue length: 0');
+        }
+        return resolved;
+    }
+
+    // Text rules, in order: { find, replace } replaces literal text, { regex,
+    // flags, replace } a regular expression ($1 refers to groups). Optional
+    // name, tiers (tier or file names) and languages restrict where a rule
+    // applies. Every problem is reported at once, like manifest errors
+    compileTextRules(rules) {
+        const list = Array.isArray(rules) ? rules : rules && rules.rules;
+        if (!Array.isArray(list)) {
+            throw new Error('Text rules: expected a list of rules, or { "rules": [...] }');
+        }
+
+        const errors = [];
+        const isText = value => typeof value === 'string';
+        const compiled = list.map((rule, r) => {
+            const where = `rules[${r}]`;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                errors.push(`${where}: expected an object`);
+                return null;
+            }
+            const unknown = Object.keys(rule).filter(key => !['name', 'find', 'regex', 'flags', 'replace', 'tiers', 'languages'].includes(key));
+            if (unknown.length > 0) {
+                errors.push(`${where}: unknown field(s) ${unknown.join(', ')}`);
+            }
+            if (isText(rule.find) === isText(rule.regex)) {
+                errors.push(`${where}: needs either "find" (text) or "regex"`);
+            }
+            if (rule.find === '') {
+                errors.push(`${where}.find: must not be empty`);
+            }
+            if (!isText(rule.replace)) {
+                errors.push(`${where}.replace: expected text`);
+            }
+            for (const key of ['tiers', 'languages']) {
+                if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every(isText))) {
+                    errors.push(`${where}.${key}: expected a list of names`);
+                }
+            }
+
+            let apply = null;
+            if (isText(rule.regex)) {
+                try {
+                    const regex = new RegExp(rule.regex, rule.flags === undefined ? 'gu' : rule.flags);
+                    apply = text => text.replace(regex, rule.replace);
+                } catch (error) {
+                    errors.push(`${where}.regex: ${error.message}`);
+                }
+            } else if (isText(rule.find)) {
+                apply = text => text.split(rule.find).join(rule.replace);
+            }
+
+            return {
+                name: isText(rule.name) ? rule.name : `rule ${r + 1}`,
+                tiers: rule.tiers || null,
+                languages: rule.languages || null,
+                apply
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid text rules:\n  ${errors.join('\n  ')}`);
+        }
+        return compiled;
+    }
+
+    // Unicode normalisation, then the text rules that apply to each tier. Runs
+    // once per tier, just before output; every change is kept on the tier
+    // (tier.textChanges) so --dry-run can list them
+    applyTextRules(tiers) {
+        const { normalize } = this.options;
+        if (!normalize && this.textRules.length === 0) {
+            return;
+        }
+
+        for (const tier of tiers) {
+            if (tier.textChanges) {
+                continue;
+            }
+            const { language } = this.resolveTierMetadata(tier);
+            const names = [tier.name, tier.displayName, tier.sourceFile && path.basename(tier.sourceFile)];
+            const rules = this.textRules.filter(rule => (!rule.tiers || rule.tiers.some(name => names.includes(name)))
+                && (!rule.languages || rule.languages.includes(language)));
+            if (normalize) {
+                rules.unshift({ name: normalize, apply: text => text.normalize(normalize) });
+            }
+
+            tier.textChanges = [];
+            for (const subtitle of tier.subtitles) {
+                for (const rule of rules) {
+                    const text = rule.apply(subtitle.text);
+                    if (text !== subtitle.text) {
+                        tier.textChanges.push({
+                            rule: rule.name,
+                            tier: tier.name,
+                            index: subtitle.index,
+                            startTime: subtitle.startTime,
+                            before: subtitle.text,
+                            after: text
+                        });
+                        subtitle.text = text;
+                    }
+                    // The kept formatting (--format-tiers) changes along with
+                    // the text, between its tags, so export can still restore it
+                    if (subtitle.markup !== undefined) {
+                        subtitle.markup = subtitle.markup.split(FORMATTING_SPLIT)
+                            .map((part, i) => i % 2 === 1 ? part : rule.apply(part))
+                            .join('');
+                    }
+                }
+            }
+            if (tier.textChanges.length > 0) {
+                console.error(`Note: ${tier.name}: ${tier.textChanges.length} text change(s) from normalisation and text rules`);
+            }
+        }
+    }
+
+    // --format-tiers: every top-level subtitle tier gets two dependent tiers,
+    // <tier>_format with the text of each formatted cue before its tags were
+    // stripped, and <tier>_index with each cue's number in its subtitle file.
+    // Returns the tiers with these children after their parent
+    addFormatTiers(tiers) {
+        if (!this.options.formatTiers) {
+            return tiers;
+        }
+
+        const result = [];
+        for (const tier of tiers) {
+            result.push(tier);
+            if (tier.parentRef || path.extname(tier.sourceFile).toLowerCase() === '.textgrid') {
+                continue;
+            }
+            if (!tier.formatTiers) {
+                const cues = tier.subtitles.filter(subtitle => !subtitle.gap);
+                const child = (suffix, linguisticType, annotated, value) => {
+                    const childTier = {
+                        name: this.uniqueTierName(`${tier.name}_${suffix}`),
+                        displayName: tier.displayName,
+                        subtitles: annotated.map(subtitle => ({
+                            index: subtitle.index,
+                            startTime: subtitle.startTime,
+                            endTime: subtitle.endTime,
+                            text: value(subtitle),
+                            duration: subtitle.duration,
+                            parent: subtitle
+                        })),
+                        sourceFile: tier.sourceFile,
+                        parentRef: tier.name,
+                        linguisticType
+                    };
+                    if (tier.participant) {
+                        childTier.participant = tier.participant;
+                    }
+                    this.tiers.push(childTier);
+                    return childTier;
+                };
+                tier.formatTiers = [
+                    child('format', 'formatting', cues.filter(subtitle => subtitle.markup !== undefined), subtitle => subtitle.markup),
+                    child('index', 'srt-index', cues.filter(subtitle => Number.isInteger(subtitle.index)), subtitle => String(subtitle.index))
+                ];
+            }
+            result.push(...tier.formatTiers);
+        }
+        return result;
+    }
+
+    // A _format or _index tier written by --format-tiers (in a parsed EAF)
+    isFormatTier(tier) {
+        return Boolean(tier.parentRef) && FORMAT_TIER_TYPES.includes(tier.linguisticType);
+    }
+
+    // eaf2srt on a document written with --format-tiers: annotations get their
+    // formatting and their original cue numbers back. Markup is only used while
+    // it still matches the annotation without its tags, so text edited in ELAN
+    // is never overwritten
+    restoreFormatting(tiers) {
+        for (const tier of tiers.filter(tier => !this.isFormatTier(tier))) {
+            const valuesOf = (type) => {
+                const child = tiers.find(other => other.parentRef === tier.name && other.linguisticType === type);
+                return new Map(child ? child.subtitles.map(subtitle => [subtitle.ref, subtitle.text]) : []);
+            };
+            const markups = valuesOf('formatting');
+            const indices = valuesOf('srt-index');
+            let edited = 0;
+
+            for (const subtitle of tier.subtitles) {
+                const markup = markups.get(subtitle.id);
+                if (markup !== undefined) {
+                    if (markup.replace(FORMATTING_TAG, '').trim() === subtitle.text.trim()) {
+                        subtitle.text = markup;
+                    } else {
+                        edited++;
+                    }
+                }
+                if (/^\d+$/.test(indices.get(subtitle.id) || '')) {
+                    subtitle.srtIndex = Number(indices.get(subtitle.id));
+                }
+            }
+
+            if (edited > 0) {
+                console.error(`Warning: ${tier.name}: ${edited} annotation(s) no longer match their formatting and are exported without it`);
+            }
+        }
+    }
+
+    // Archives expect ISO 639-3 codes on tiers: three lowercase letters
+    validateLanguageCode(code, target = 'tier') {
+        if (code !== undefined && code !== null && !LANGUAGE_CODE_PATTERN.test(code)) {
+            throw new Error(`Invalid ISO 639-3 language code "${code}" for ${target}`);
+        }
+    }
+
+    // Inverse of parseTimestamp: milliseconds to HH:MM:SS,mmm
+    formatTimestamp(time) {
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error(`Invalid time value: ${time}`);
+        }
+
+        const totalMs = Math.round(time);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const seconds = Math.floor(totalMs / 1000) % 60;
+        const milliseconds = totalMs % 1000;
+
+        const pad = (value, length) => String(value).padStart(length, '0');
+        return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)},${pad(milliseconds, 3)}`;
+    }
+
+    // Enhanced SRT parsing with better error handling
+    parseSRT(content, filename = 'unknown') {
+        if (!content || typeof content !== 'string') {
+            throw new Error(`Empty or invalid content in file: ${filename}`);
+        }
+
+        const subtitles = [];
+        const errors = [];
+        const corrections = [];
+        const correct = (line, correction, index = null) => {
+            corrections.push(`Line ${line}: ${correction}`);
+            this.reportIssue(filename, 'corrections', { line, index, correction });
+        };
+        const blocks = this.options.lenient ? this.splitBlocksLenient(content, correct) : this.splitBlocks(content);
+        const seenIndices = new Set();
+        let previousIndex = null;
+
+        for (let i = 0; i < blocks.length; i++) {
+            let { line, lines } = blocks[i];
+            // Line the cue text starts on
+            let textLine = line + 2;
+            const skip = (reason) => {
+                errors.push(`Block ${i + 1}: ${reason}`);
+                this.reportIssue(filename, 'skippedBlocks', { block: i + 1, line, reason });
+            };
+
+            try {
+                // A cue that starts with its timing line gets the next number
+                if (this.options.lenient && LENIENT_TIME_RANGE.test(lines[0])) {
+                    const index = previousIndex === null ? 1 : previousIndex + 1;
+                    lines = [String(index), ...lines];
+                    textLine = line + 1;
+                    correct(line, `missing subtitle index, numbered ${index}`, index);
+                }
+
+                if (lines.length < 2) {
+                    skip(`insufficient lines (${lines.length})`);
+                    continue;
+                }
+
+                const index = parseInt(lines[0]);
+                if (isNaN(index)) {
+                    skip(`invalid subtitle index: "${lines[0]}"`);
+                    continue;
+                }
+
+                if (seenIndices.has(index)) {
+                    this.reportIssue(filename, 'duplicateIndices', { index, line });
+                } else if (previousIndex !== null && index < previousIndex) {
+                    this.reportIssue(filename, 'nonMonotonicIndices', { index, previous: previousIndex, line });
+                }
+                seenIndices.add(index);
+                previousIndex = index;
+
+                const timeRange = lines[1];
+                const timingLine = textLine - 1;
+                const range = this.options.lenient ? this.parseLenientTimeRange(timeRange) : null;
+                if (!range && !timeRange.includes(' --> ')) {
+                    skip(`invalid time range format: "${timeRange}"`);
+                    continue;
+                }
+
+                const [startTimeStr, endTimeStr] = range ? [range.start, range.end] : timeRange.split(' --> ');
+                if (range) {
+                    range.corrections.forEach(correction => correct(timingLine, correction, index));
+                }
+                
+                try {
+                    const startTime = range ? range.startTime : this.parseTimestamp(startTimeStr.trim());
+                    const endTime = range ? range.endTime : this.parseTimestamp(endTimeStr.trim());
+
+                    if (startTime === endTime) {
+                        errors.push(`Block ${i + 1}: zero-length cue skipped (${startTimeStr} --> ${endTimeStr})`);
+                        this.reportIssue(filename, 'zeroLengthCues', { index, line, time: startTime });
+                        continue;
+                    }
+                    if (startTime > endTime) {
+                        skip(`invalid time range: start >= end (${startTimeStr} --> ${endTimeStr})`);
+                        continue;
+                    }
+
+                    const rawText = lines.length > 2 ? lines.slice(2).join('\n') : '';
+                    const turns = this.options.splitSpeakers
+                        ? this.splitSpeakerTurns(rawText)
+                        : [{ speaker: null, text: rawText }];
+                    const removed = [];
+
+                    // Keep text as is, even if empty
+                    for (const turn of turns) {
+                        const stripped = removed.length;
+                        const subtitle = {
+                            index,
+                            startTime,
+                            endTime,
+                            text: this.stripFormatting(turn.text, removed).trim(),
+                            duration: endTime - startTime
+                        };
+                        if (removed.length > stripped) {
+                            this.keepMarkup(subtitle, turn.text);
+                        }
+                        if (turn.speaker) {
+                            subtitle.speaker = turn.speaker;
+                        }
+                        if (turn.dialogue) {
+                            subtitle.dialogue = true;
+                        }
+                        subtitles.push(subtitle);
+                    }
+
+                    if (removed.length > 0) {
+                        this.reportIssue(filename, 'strippedText', { index, line: textLine, removed });
+                    }
+
+                } catch (timestampError) {
+                    skip(`timestamp error: ${timestampError.message}`);
+                    continue;
+                }
+
+            } catch (error) {
+                skip(`parsing error: ${error.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        // Files with one quirk throughout would list it for every cue
+        if (corrections.length > 0) {
+            console.error(`Corrections in ${filename} (lenient mode):`);
+            corrections.slice(0, 10).forEach(correction => console.error(`  ${correction}`));
+            if (corrections.length > 10) {
+                console.error(`  ... and ${corrections.length - 10} more (--report lists all)`);
+            }
+        }
+
+        // Sort subtitles by start time to ensure proper ordering
+        subtitles.sort((a, b) => a.startTime - b.startTime);
+
+        return subtitles;
+    }
+
+    // --lenient timestamps: hours with one digit, '.' or ';'
+    // separators, and 1-3 millisecond digits (".5" is half a second) or none.
+    // Returns milliseconds, or null if the timestamp cannot be read
+    parseLenientTimestamp(timestamp) {
+        const match = /^(\d+)[:;.](\d{1,2})[:;.](\d{1,2})(?:[,.:;](\d{1,3}))?$/.exec(timestamp.trim());
+        if (!match) {
+            return null;
+        }
+        const [hours, minutes, seconds] = match.slice(1, 4).map(Number);
+        if (minutes > 59 || seconds > 59) {
+            return null;
+        }
+        const fraction = match[4] ? Math.round(Number(`0.${match[4]}`) * 1000) : 0;
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + fraction;
+    }
+
+    // --lenient timing lines. Returns both times and a description of every
+    // deviation from "HH:MM:SS,mmm --> HH:MM:SS,mmm", or null
+    parseLenientTimeRange(timeRange) {
+        const match = LENIENT_TIME_RANGE.exec(timeRange);
+        if (!match) {
+            return null;
+        }
+
+        const [, start, arrow, end, coordinates] = match;
+        const startTime = this.parseLenientTimestamp(start);
+        const endTime = this.parseLenientTimestamp(end);
+        if (startTime === null || endTime === null) {
+            return null;
+        }
+
+        const corrections = [];
+        for (const [timestamp, time] of [[start, startTime], [end, endTime]]) {
+            try {
+                this.parseTimestamp(timestamp);
+            } catch {
+                corrections.push(`timestamp "${timestamp}" read as ${time}ms`);
+            }
+        }
+        if (arrow.trim() !== '-->' || !/^\s.*\s$/.test(arrow)) {
+            corrections.push(`arrow "${arrow}" read as " --> "`);
+        }
+        if (coordinates) {
+            corrections.push(`position coordinates "${coordinates.trim()}" removed`);
+        }
+
+        return { start, end, startTime, endTime, corrections };
+    }
+
+    // --lenient block splitting: a cue starts at every timing line (together
+    // with the number line before it), blank line or not, and text after a
+    // blank line that starts no cue stays with the cue above. Stray carriage
+    // returns count as line breaks. Each fix is passed to correct(line, what)
+    splitBlocksLenient(content, correct) {
+        const lines = content.split(/\r*\n|\r/);
+        const strayReturn = /\r(?!\n)/.exec(content);
+        if (strayReturn) {
+            const line = content.slice(0, strayReturn.index).split(/\r*\n|\r/).length;
+            correct(line, 'carriage returns without line feed read as line breaks');
+        }
+
+        const isTiming = text => LENIENT_TIME_RANGE.test(text);
+        const isIndex = text => /^\s*\d+\s*$/.test(text);
+        const blocks = [];
+        let current = null;
+        let blank = false;
+
+        lines.forEach((text, i) => {
+            if (text.trim() === '') {
+                blank = true;
+                return;
+            }
+
+            const afterIndex = current && current.lines.length === 1 && isIndex(current.lines[0]);
+            // After a blank line, a number starts a block as usual, readable or not
+            const startsCue = isTiming(text) ? !afterIndex : isIndex(text) && (blank || isTiming(lines[i + 1] || ''));
+            if (startsCue || !current) {
+                if (current && !blank) {
+                    correct(i + 1, 'missing blank line before this cue');
+                }
+                current = { line: i + 1, lines: [] };
+                blocks.push(current);
+            } else if (blank) {
+                current.lines.push('');
+                correct(i + 1, 'blank line inside cue text kept');
+            }
+            current.lines.push(text);
+            blank = false;
+        });
+
+        return blocks;
+    }
+
+    // Split on blank lines, remembering the (1-based) line each block starts on
+    splitBlocks(content) {
+        const blocks = [];
+        let current = null;
+
+        content.split(/\r?\n/).forEach((text, i) => {
+            if (text.trim() === '') {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { line: i + 1, lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(text);
+        });
+
+        return blocks;
+    }
+
+    // Break cue text into speaker turns at labelled lines ("INT: ...", "[Maria] ...",
+    // "<v Maria>...", "- ..."). Text before the first label has speaker null;
+    // several turns by the same speaker in one cue are joined. Dialogue dash
+    // lines keep their dash and become one turn with dialogue set and no speaker
+    splitSpeakerTurns(text) {
+        const turns = [];
+
+        for (const line of text.split('\n')) {
+            // Leading formatting tags should not hide a label
+            const leading = /^(?:<(?!v[\s.])[^>]*>|\{[^}]*\})*/.exec(line)[0];
+            const rest = line.slice(leading.length);
+            let labelled = false;
+
+            for (const pattern of this.speakerPatterns) {
+                const match = pattern.exec(rest);
+                if (!match || match[0].length === 0) {
+                    continue;
+                }
+                const name = match[1] !== undefined ? match[1].trim() : '';
+                turns.push(name
+                    ? { speaker: name, text: leading + rest.slice(match[0].length) }
+                    : { speaker: null, dialogue: true, text: line });
+                labelled = true;
+                break;
+            }
+
+            if (!labelled) {
+                if (turns.length === 0) {
+                    turns.push({ speaker: null, text: line });
+                } else {
+                    turns[turns.length - 1].text += `\n${line}`;
+                }
+            }
+        }
+
+        const merged = [];
+        for (const turn of turns) {
+            const existing = merged.find(other => other.speaker === turn.speaker && other.dialogue === turn.dialogue);
+            if (existing) {
+                existing.text += `\n${turn.text}`;
+            } else {
+                merged.push(turn);
+            }
+        }
+        return merged;
+    }
+
+    // Handle formatting based on options; removed tags are appended to `removed`
+    stripFormatting(text, removed = null) {
+        if (this.options.preserveFormatting) {
+            return text;
+        }
+        const strip = (match) => {
+            if (removed) {
+                removed.push(match);
+            }
+            return '';
+        };
+        return text
+            .replace(/<[^>]*>/g, strip) // Remove HTML tags
+            .replace(/\{[^}]*\}/g, strip); // Remove ASS/SSA formatting
+    }
+
+    // --format-tiers: a cue that lost formatting keeps its text as it was
+    // (markup) for the _format tier
+    keepMarkup(subtitle, markup) {
+        if (this.options.formatTiers) {
+            subtitle.markup = markup.trim();
+        }
+        return subtitle;
+    }
+
+    // WebVTT timestamps: optional hours, '.' before milliseconds
+    parseVTTTimestamp(timestamp) {
+        const match = /^(?:(\d{2,}):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(timestamp.trim());
+        if (!match) {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        const [hours, minutes, seconds, milliseconds] = match.slice(1).map(value => Number(value || 0));
+        if (minutes > 59 || seconds > 59) {
+            throw new Error(`Invalid timestamp values: ${timestamp}`);
+        }
+
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
+    }
+
+    // WebVTT parsing into the same subtitle objects as parseSRT
+    parseVTT(content, filename = 'unknown') {
+        if (!content || typeof content !== 'string') {
+            throw new Error(`Empty or invalid content in file: ${filename}`);
+        }
+
+        const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        if (!/^WEBVTT(?:[ \t]|\n|$)/.test(normalized)) {
+            throw new Error(`Missing WEBVTT header in file: ${filename}`);
+        }
+
+        const subtitles = [];
+        // First block is the WEBVTT header (and any header metadata)
+        const blocks = this.splitBlocks(normalized).slice(1);
+        const errors = [];
+        let cueCount = 0;
+
+        for (let i = 0; i < blocks.length; i++) {
+            const { line } = blocks[i];
+            const lines = blocks[i].lines.slice();
+            const blockNumber = i + 2;
+            const skip = (reason) => {
+                errors.push(`Block ${blockNumber}: ${reason}`);
+                this.reportIssue(filename, 'skippedBlocks', { block: blockNumber, line, reason });
+            };
+
+            // Comments, style sheets and region definitions carry no cues
+            if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) {
+                continue;
+            }
+
+            // Optional cue identifier before the timing line
+            let identifier = null;
+            if (!lines[0].includes('-->')) {
+                identifier = lines.shift().trim();
+            }
+
+            if (lines.length === 0) {
+                skip('missing cue timing line');
+                continue;
+            }
+
+            // Cue settings (position, align, ...) may follow the end time
+            const timing = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+.*)?$/.exec(lines[0].trim());
+            if (!timing) {
+                skip(`invalid time range format: "${lines[0]}"`);
+                continue;
+            }
+
+            try {
+                const startTime = this.parseVTTTimestamp(timing[1]);
+                const endTime = this.parseVTTTimestamp(timing[2]);
+
+                const index = identifier && /^\d+$/.test(identifier) ? parseInt(identifier) : cueCount + 1;
+
+                if (startTime === endTime) {
+                    errors.push(`Block ${blockNumber}: zero-length cue skipped (${timing[1]} --> ${timing[2]})`);
+                    this.reportIssue(filename, 'zeroLengthCues', { index, line, time: startTime });
+                    continue;
+                }
+                if (startTime > endTime) {
+                    skip(`invalid time range: start >= end (${timing[1]} --> ${timing[2]})`);
+                    continue;
+                }
+
+                const rawText = lines.slice(1).join('\n');
+                const removed = [];
+                // keepTags leaves formatting in place (the markup of --format-tiers)
+                const cleanText = (text, keepTags = false) => {
+                    // Voice spans name the speaker; the tag itself is not part of the text
+                    text = text.replace(/<v(?:\.[^\s>]*)?(?:[ \t]+[^>]*)?>|<\/v>/g, '');
+                    if (!keepTags) {
+                        text = this.stripFormatting(text, removed);
+                    }
+                    if (!this.options.preserveFormatting) {
+                        text = this.unescapeXML(text.replace(/&nbsp;/g, '\u00A0').replace(/&lrm;|&rlm;/g, ''));
+                    }
+                    return text.trim();
+                };
+
+                let turns;
+                if (this.options.splitSpeakers) {
+                    turns = this.splitSpeakerTurns(rawText);
+                } else {
+                    const voice = /<v(?:\.[^\s>]*)?[ \t]+([^>]+)>/.exec(rawText);
+                    turns = [{ speaker: voice ? voice[1].trim() : null, text: rawText }];
+                }
+
+                cueCount++;
+
+                for (const turn of turns) {
+                    const stripped = removed.length;
+                    const subtitle = {
+                        index,
+                        startTime,
+                        endTime,
+                        text: cleanText(turn.text),
+                        duration: endTime - startTime
+                    };
+                    if (removed.length > stripped) {
+                        this.keepMarkup(subtitle, cleanText(turn.text, true));
+                    }
+                    if (identifier && !/^\d+$/.test(identifier)) {
+                        subtitle.identifier = identifier;
+                    }
+                    if (turn.speaker) {
+                        subtitle.speaker = turn.speaker;
+                    }
+                    if (turn.dialogue) {
+                        subtitle.dialogue = true;
+                    }
+                    subtitles.push(subtitle);
+                }
+
+                if (removed.length > 0) {
+                    this.reportIssue(filename, 'strippedText', { index, line: line + (identifier === null ? 1 : 2), removed });
+                }
+
+            } catch (timestampError) {
+                skip(`timestamp error: ${timestampError.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        // Sort subtitles by start time to ensure proper ordering
+        subtitles.sort((a, b) => a.startTime - b.startTime);
+
+        return subtitles;
+    }
+
+    // ASS/SSA timestamps: H:MM:SS.cc, with centiseconds
+    parseASSTimestamp(timestamp) {
+        const match = /^(\d+):(\d{1,2}):(\d{1,2})[.:](\d{1,3})$/.exec(timestamp.trim());
+        if (!match) {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        const [hours, minutes, seconds] = match.slice(1, 4).map(Number);
+        if (minutes > 59 || seconds > 59) {
+            throw new Error(`Invalid timestamp values: ${timestamp}`);
+        }
+
+        // ".5" is half a second, ".05" five centiseconds
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + Math.round(Number(`0.${match[4]}`) * 1000);
+    }
+
+    // Dialogue text: {...} override blocks are formatting (and {\p1} starts
+    // vector drawing commands, not text); \N and \n break lines, \h is a hard space
+    cleanASSText(text, removed = null) {
+        if (!this.options.preserveFormatting) {
+            text = text.replace(/\{[^}]*\\p[1-9][^}]*\}[\s\S]*?(?=\{[^}]*\\p0[^}]*\}|$)/g, match => {
+                if (removed) {
+                    removed.push(match);
+                }
+                return '';
+            });
+            text = this.stripFormatting(text, removed);
+        }
+        return text.replace(/\\[Nn]/g, '\n').replace(/\\h/g, '\u00A0').trim();
+    }
+
+    // ASS/SSA parsing: Dialogue lines of the [Events] section, read by the
+    // section's Format line. The Actor ("Name") becomes the speaker and the
+    // Style is kept on each subtitle
+    parseASS(content, filename = 'unknown') {
+        if (!content || typeof content !== 'string') {
+            throw new Error(`Empty or invalid content in file: ${filename}`);
+        }
+
+        const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const subtitles = [];
+        const errors = [];
+        let section = null;
+        let hasEvents = false;
+        let format = DEFAULT_ASS_FORMAT;
+        let dialogueCount = 0;
+
+        lines.forEach((text, i) => {
+            const line = i + 1;
+            const sectionHeader = /^\[(.+)\]$/.exec(text.trim());
+            if (sectionHeader) {
+                section = sectionHeader[1].trim().toLowerCase();
+                hasEvents = hasEvents || section === 'events';
+                return;
+            }
+
+            // Comment, Picture, Sound, Movie and Command events carry no text
+            const event = /^([A-Za-z]+):[ \t]*(.*)$/.exec(text);
+            if (section !== 'events' || !event) {
+                return;
+            }
+            if (event[1] === 'Format') {
+                format = event[2].split(',').map(field => field.trim().toLowerCase());
+                return;
+            }
+            if (event[1] !== 'Dialogue') {
+                return;
+            }
+
+            const index = ++dialogueCount;
+            const skip = (reason) => {
+                errors.push(`Line ${line}: ${reason}`);
+                this.reportIssue(filename, 'skippedBlocks', { block: index, line, reason });
+            };
+
+            const values = event[2].split(',');
+            if (values.length < format.length) {
+                skip(`expected ${format.length} fields, found ${values.length}`);
+                return;
+            }
+            const fields = {};
+            format.forEach((field, f) => {
+                fields[field] = f === format.length - 1 ? values.slice(f).join(',') : values[f].trim();
+            });
+            if (fields.start === undefined || fields.end === undefined || fields.text === undefined) {
+                skip('the Format line has no Start, End or Text field');
+                return;
+            }
+
+            let startTime;
+            let endTime;
+            try {
+                startTime = this.parseASSTimestamp(fields.start);
+                endTime = this.parseASSTimestamp(fields.end);
+            } catch (timestampError) {
+                skip(`timestamp error: ${timestampError.message}`);
+                return;
+            }
+            if (startTime === endTime) {
+                errors.push(`Line ${line}: zero-length cue skipped (${fields.start} --> ${fields.end})`);
+                this.reportIssue(filename, 'zeroLengthCues', { index, line, time: startTime });
+                return;
+            }
+            if (startTime > endTime) {
+                skip(`invalid time range: start >= end (${fields.start} --> ${fields.end})`);
+                return;
+            }
+
+            // Aegisub calls the Name field "Actor"; SSA styles may carry a leading *
+            const actor = (fields.name || fields.actor || '').trim();
+            const style = (fields.style || '').replace(/^\*/, '').trim();
+            let turns;
+            if (actor) {
+                turns = [{ speaker: actor, text: fields.text }];
+            } else if (this.options.splitSpeakers) {
+                turns = this.splitSpeakerTurns(fields.text.replace(/\\N/g, '\n'));
+            } else {
+                turns = [{ speaker: null, text: fields.text }];
+            }
+
+            const removed = [];
+            for (const turn of turns) {
+                const stripped = removed.length;
+                const subtitle = {
+                    index,
+                    startTime,
+                    endTime,
+                    text: this.cleanASSText(turn.text, removed),
+                    duration: endTime - startTime
+                };
+                if (removed.length > stripped) {
+                    this.keepMarkup(subtitle, turn.text.replace(/\\[Nn]/g, '\n').replace(/\\h/g, '\u00A0'));
+                }
+                if (style) {
+                    subtitle.style = style;
+                }
+                if (turn.speaker) {
+                    subtitle.speaker = turn.speaker;
+                }
+                if (turn.dialogue) {
+                    subtitle.dialogue = true;
+                }
+                subtitles.push(subtitle);
+            }
+
+            if (removed.length > 0) {
+                this.reportIssue(filename, 'strippedText', { index, line, removed });
+            }
+        });
+
+        if (!hasEvents) {
+            throw new Error(`Missing [Events] section in file: ${filename}`);
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        // Events need not be in time order (signs, karaoke layers, ...)
+        subtitles.sort((a, b) => a.startTime - b.startTime);
+
+        return subtitles;
+    }
+
+    // Praat text files: the long and short formats share the same value sequence,
+    // so labels ("xmin =", "item [1]:") are skipped and only values are kept
+    tokenizeTextGrid(content) {
+        const tokens = [];
+        const tokenRegex = /"((?:[^"]|"")*)"|<(exists|absent)>|\[[^\]\n]*\]|!.*|(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|[A-Za-z_][\w?]*|[\s\S]/g;
+        let match;
+        let line = 1;
+
+        while ((match = tokenRegex.exec(content)) !== null) {
+            const [text, string, flag, number] = match;
+            if (string !== undefined) {
+                tokens.push({ type: 'string', value: string.replace(/""/g, '"'), line });
+            } else if (flag !== undefined) {
+                tokens.push({ type: 'flag', value: flag, line });
+            } else if (number !== undefined) {
+                tokens.push({ type: 'number', value: Number(number), line });
+            }
+            line += text.split('\n').length - 1;
+        }
+
+        return tokens;
+    }
+
+    // Praat TextGrid parsing: one entry per IntervalTier, intervals as subtitle objects
+    parseTextGrid(content, filename = 'unknown') {
+        if (!content || typeof content !== 'string') {
+            throw new Error(`Empty or invalid content in file: ${filename}`);
+        }
+
+        const tokens = this.tokenizeTextGrid(content.replace(/^\uFEFF/, ''));
+        let position = 0;
+        const next = (type) => {
+            const token = tokens[position++];
+            if (!token) {
+                throw new Error(`Unexpected end of TextGrid: ${filename}`);
+            }
+            if (token.type !== type) {
+                throw new Error(`Expected ${type} in ${filename}, found "${token.value}"`);
+            }
+            return token.value;
+        };
+
+        if (next('string') !== 'ooTextFile' || next('string') !== 'TextGrid') {
+            throw new Error(`Not a Praat TextGrid text file: ${filename}`);
+        }
+
+        next('number'); // xmin
+        next('number'); // xmax
+        if (next('flag') !== 'exists') {
+            return [];
+        }
+
+        const tierCount = next('number');
+        const tiers = [];
+        const errors = [];
+
+        for (let t = 0; t < tierCount; t++) {
+            const tierLine = tokens[position] ? tokens[position].line : null;
+            const tierClass = next('string');
+            const name = next('string');
+            next('number'); // tier xmin
+            next('number'); // tier xmax
+            const size = next('number');
+
+            if (tierClass === 'TextTier') {
+                for (let i = 0; i < size; i++) {
+                    next('number');
+                    next('string');
+                }
+                errors.push(`Tier "${name}": point tier skipped (points have no duration)`);
+                this.reportIssue(filename, 'skippedBlocks', { tier: name, line: tierLine, reason: 'point tier skipped (points have no duration)' });
+                continue;
+            }
+
+            if (tierClass !== 'IntervalTier') {
+                throw new Error(`Unknown tier class "${tierClass}" in ${filename}`);
+            }
+
+            const subtitles = [];
+            for (let i = 0; i < size; i++) {
+                const line = tokens[position] ? tokens[position].line : null;
+                const startTime = Math.round(next('number') * 1000);
+                const endTime = Math.round(next('number') * 1000);
+                const text = next('string').trim();
+
+                if (startTime === endTime) {
+                    errors.push(`Tier "${name}" interval ${i + 1}: zero-length interval skipped (${startTime}ms)`);
+                    this.reportIssue(filename, 'zeroLengthCues', { tier: name, index: i + 1, line, time: startTime });
+                    continue;
+                }
+                if (startTime > endTime) {
+                    const reason = `invalid time range: start >= end (${startTime}ms --> ${endTime}ms)`;
+                    errors.push(`Tier "${name}" interval ${i + 1}: ${reason}`);
+                    this.reportIssue(filename, 'skippedBlocks', { tier: name, interval: i + 1, line, reason });
+                    continue;
+                }
+
+                // Keep text as is, even if empty (silences are empty intervals)
+                subtitles.push({
+                    index: i + 1,
+                    startTime,
+                    endTime,
+                    text,
+                    duration: endTime - startTime
+                });
+            }
+
+            subtitles.sort((a, b) => a.startTime - b.startTime);
+            tiers.push({ name, subtitles });
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        return tiers;
+    }
+
+    // Pick the parser from the file extension
+    parseSubtitleFile(content, filename = 'unknown') {
+        const ext = path.extname(filename).toLowerCase();
+        if (ext === '.vtt') {
+            return this.parseVTT(content, filename);
+        }
+        if (ASS_EXTENSIONS.includes(ext)) {
+            return this.parseASS(content, filename);
+        }
+        return this.parseSRT(content, filename);
+    }
+
+    // Fresh ID counters and tier list for a new output document
+    resetState() {
+        this.allTimeSlots.clear();
+        this.timeSlotId = 1;
+        this.annotationId = 1;
+        this.tiers = [];
+        this.reservedTierNames = new Set();
+        this.annotationIds.clear();
+        this.fileEncodings.clear();
+        this.linguisticTypes = { ...LINGUISTIC_TYPES };
+    }
+
+    // Start a new validation report. Not part of resetState, so one report
+    // covers every file of a separate-mode run
+    beginReport() {
+        this.report = new Map();
+        this.snapReport = null;
+    }
+
+    // Report entry for one input file, created on first use. Entries are kept
+    // by path, so equal file names in different folders stay apart; `file`
+    // is only the name shown
+    fileReport(filePath) {
+        if (!this.report.has(filePath)) {
+            this.report.set(filePath, { file: path.basename(filePath) });
+        }
+        return this.report.get(filePath);
+    }
+
+    // Record a skipped block, overlap, index problem, ... against a file
+    reportIssue(filePath, category, details) {
+        const entry = this.fileReport(filePath);
+        (entry[category] = entry[category] || []).push(details);
+    }
+
+    // The report as plain data: every file with all issue lists, plus totals
+    buildReport() {
+        const totals = { files: this.report.size, problems: 0 };
+        REPORT_CATEGORIES.forEach(category => { totals[category] = 0; });
+        // Segment clean-up counts, when it was asked for
+        if (this.segments) {
+            totals.segments = Object.fromEntries(SEGMENT_COUNTS.map(key => [key, 0]));
+        }
+
+        const files = Array.from(this.report.values()).map(entry => {
+            const file = {
+                file: entry.file,
+                path: entry.path || null,
+                encoding: entry.encoding || null,
+                replacementCharacters: entry.replacementCharacters || 0,
+                cues: entry.cues || 0,
+                error: entry.error || null,
+                problems: (entry.error ? 1 : 0) + (entry.replacementCharacters > 0 ? 1 : 0)
+            };
+            for (const category of REPORT_CATEGORIES) {
+                file[category] = entry[category] || [];
+                totals[category] += file[category].length;
+                if (!REFERENCE_CATEGORIES.includes(category)) {
+                    file.problems += file[category].length;
+                }
+            }
+            if (this.segments) {
+                file.segments = Object.fromEntries(SEGMENT_COUNTS.map(key => [key, (entry.segments && entry.segments[key]) || 0]));
+                SEGMENT_COUNTS.forEach(key => { totals.segments[key] += file.segments[key]; });
+            }
+            totals.problems += file.problems;
+            return file;
+        });
+
+        const report = { files, totals };
+        if (this.snapReport) {
+            report.snapping = { ...this.snapReport };
+        }
+        return report;
+    }
+
+    // --snap-tolerance: cue boundaries on any tier that lie within the tolerance
+    // of each other move to one time and share a time slot. A cluster spans at
+    // most the tolerance and snaps to its most used time, so boundaries keep
+    // their order. A cue that would shrink to nothing keeps its own times, and
+    // so do the neighbouring boundaries it would otherwise cross
+    snapBoundaries(tiers) {
+        if (this.snapTolerance === null || tiers.every(tier => tier.snapped)) {
+            return;
+        }
+
+        const uses = new Map();
+        for (const tier of tiers) {
+            for (const cue of tier.subtitles.filter(subtitle => !subtitle.parent)) {
+                uses.set(cue.startTime, (uses.get(cue.startTime) || 0) + 1);
+                uses.set(cue.endTime, (uses.get(cue.endTime) || 0) + 1);
+            }
+        }
+        const times = Array.from(uses.keys()).sort((a, b) => a - b);
+        const snapTo = new Map();
+        for (let first = 0; first < times.length;) {
+            let last = first;
+            let canonical = times[first];
+            while (last < times.length && times[last] - times[first] <= this.snapTolerance) {
+                if (uses.get(times[last]) > uses.get(canonical)) {
+                    canonical = times[last];
+                }
+                last++;
+            }
+            times.slice(first, last).forEach(time => snapTo.set(time, canonical));
+            first = last;
+        }
+
+        let moved = 0;
+        let kept = 0;
+        const snappedTimes = new Set();
+        for (const tier of tiers) {
+            tier.snapped = true;
+            const cues = tier.subtitles.filter(subtitle => !subtitle.parent);
+            const snapped = cues.map(cue => {
+                const startTime = snapTo.get(cue.startTime);
+                const endTime = snapTo.get(cue.endTime);
+                if (startTime < endTime) {
+                    return { startTime, endTime };
+                }
+                kept++;
+                return { startTime: cue.startTime, endTime: cue.endTime };
+            });
+            for (let i = 1; i < cues.length; i++) {
+                if (cues[i - 1].endTime <= cues[i].startTime && snapped[i - 1].endTime > snapped[i].startTime) {
+                    snapped[i - 1].endTime = cues[i - 1].endTime;
+                    snapped[i].startTime = cues[i].startTime;
+                    kept++;
+                }
+            }
+
+            cues.forEach((cue, i) => {
+                const { startTime, endTime } = snapped[i];
+                moved += (startTime !== cue.startTime) + (endTime !== cue.endTime);
+                Object.assign(cue, { startTime, endTime, duration: endTime - startTime });
+                snappedTimes.add(startTime).add(endTime);
+            });
+        }
+        // Dependent annotations follow their parent
+        for (const tier of tiers) {
+            for (const subtitle of tier.subtitles.filter(subtitle => subtitle.parent)) {
+                Object.assign(subtitle, {
+                    startTime: subtitle.parent.startTime,
+                    endTime: subtitle.parent.endTime,
+                    duration: subtitle.parent.duration
+                });
+            }
+        }
+
+        this.addSnapReport({
+            tolerance: this.snapTolerance,
+            boundariesMoved: moved,
+            leftInPlace: kept,
+            timesBefore: times.length,
+            timesAfter: snappedTimes.size
+        });
+        if (moved > 0 || kept > 0) {
+            console.error(`Note: snapping moved ${moved} boundar${moved === 1 ? 'y' : 'ies'}; ${times.length} distinct times became ${snappedTimes.size}`
+                + (kept > 0 ? ` (${kept} left in place to avoid zero-length or overlapping cues)` : ''));
+        }
+    }
+
+    // Add one document's snapping counts to those of the run
+    addSnapReport(counts) {
+        if (!counts) {
+            return;
+        }
+        const previous = this.snapReport;
+        this.snapReport = previous ? {
+            tolerance: counts.tolerance,
+            boundariesMoved: previous.boundariesMoved + counts.boundariesMoved,
+            leftInPlace: previous.leftInPlace + counts.leftInPlace,
+            timesBefore: previous.timesBefore + counts.timesBefore,
+            timesAfter: previous.timesAfter + counts.timesAfter
+        } : { ...counts };
+    }
+
+    // Optimized time slot management
+    addTimeSlots(subtitles) {
+        // Dependent annotations have no time slots of their own
+        subtitles = subtitles.filter(subtitle => !subtitle.parent);
+        const uniqueTimes = new Set();
+        
+        for (const subtitle of subtitles) {
+            uniqueTimes.add(subtitle.startTime);
+            uniqueTimes.add(subtitle.endTime);
+        }
+
+        for (const time of uniqueTimes) {
+            if (!this.allTimeSlots.has(time)) {
+                this.allTimeSlots.set(time, `ts${this.timeSlotId++}`);
+            }
+        }
+    }
+
+    // Decode one input (a string, Buffer or Uint8Array) and record its encoding.
+    // The core cannot read files, so the content has to be passed in
+    readInputFile(filePath, content) {
+        if (content === undefined || content === null) {
+            throw new Error(`No content given for ${filePath}`);
+        }
+
+        const { text, encoding, replacements } = typeof content === 'string'
+            ? { text: content.replace(/^\uFEFF/, ''), encoding: null, replacements: 0 }
+            : this.decodeBuffer(content, this.options.encoding);
+        this.fileEncodings.set(filePath, { encoding, replacements });
+        Object.assign(this.fileReport(filePath), { path: filePath, encoding, replacementCharacters: replacements });
+
+        if (replacements > 0) {
+            console.error(`Warning: ${path.basename(filePath)}: ${replacements} character(s) could not be decoded as ${encoding} and were replaced with U+FFFD`);
+        }
+
+        return text;
+    }
+
+    // Decode file bytes with the given encoding, or detect it when 'auto'
+    decodeBuffer(buffer, encoding = 'auto') {
+        const detected = encoding === 'auto' ? this.detectEncoding(buffer) : encoding;
+        let text;
+
+        try {
+            // TextDecoder drops a byte order mark matching the encoding
+            text = new TextDecoder(TEXT_DECODER_NAMES[detected.toLowerCase()] || detected).decode(buffer);
+        } catch (error) {
+            // Node-only names such as 'utf16le' or 'ucs2'
+            if (!(error instanceof RangeError) || typeof Buffer === 'undefined' || !Buffer.isEncoding(detected)) {
+                throw new Error(`Unsupported encoding: ${detected}`);
+            }
+            // Uint8Array input (in-memory API) has no Buffer toString
+            text = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength).toString(detected).replace(/^\uFEFF/, '');
+        }
+
+        return {
+            text,
+            encoding: detected,
+            replacements: (text.match(/\uFFFD/g) || []).length
+        };
+    }
+
+    // Byte order mark first, then UTF-16 and UTF-8 checks, then a guess
+    // between Windows-1252, GB18030 and Big5 for legacy files
+    detectEncoding(buffer) {
+        if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            return 'utf-8';
+        }
+        if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            return 'utf-16le';
+        }
+        if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            return 'utf-16be';
+        }
+
+        // UTF-16 without BOM: ASCII characters leave every other byte zero
+        const sample = buffer.subarray(0, 4096);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) {
+                    evenZeros++;
+                } else {
+                    oddZeros++;
+                }
+            }
+        }
+        const pairs = sample.length / 2;
+        if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+            return 'utf-16le';
+        }
+        if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+            return 'utf-16be';
+        }
+
+        const strictDecode = (label) => {
+            try {
+                return new TextDecoder(label, { fatal: true }).decode(buffer);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (strictDecode('utf-8') !== null) {
+            return 'utf-8';
+        }
+
+        // Accented Latin letters are single high bytes between ASCII ones;
+        // Chinese characters arrive as runs of high bytes
+        let highBytes = 0;
+        let runs = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            if (buffer[i] >= 0x80) {
+                highBytes++;
+                if (i === 0 || buffer[i - 1] < 0x80) {
+                    runs++;
+                }
+            }
+        }
+        if (runs === 0 || highBytes / runs < 1.5) {
+            return 'windows-1252';
+        }
+
+        const candidates = ['gb18030', 'big5']
+            .map(label => {
+                const text = strictDecode(label);
+                if (text === null) {
+                    return null;
+                }
+                const han = text.match(/[\u4E00-\u9FFF]/g) || [];
+                const common = han.filter(character => COMMON_HAN_CHARACTERS.includes(character)).length;
+                return { label, score: han.length > 0 ? common / han.length : 0 };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+
+        return candidates.length > 0 ? candidates[0].label : 'windows-1252';
+    }
+
+    // Whether resync settings apply to a tier (all tiers unless some are named)
+    isResyncTier(baseName, sourceFile) {
+        if (!this.resync) {
+            return false;
+        }
+        const { tiers } = this.resync;
+        return !tiers || tiers.some(name => name === baseName
+            || name === baseName.replace(/[^a-zA-Z0-9_-]/g, '_')
+            || name === path.basename(sourceFile));
+    }
+
+    // Apply the resync map before time slots are built. Times before zero are
+    // clamped; cues left without duration are dropped. Both are reported
+    applyResync(subtitles, tierName) {
+        const { scale, offset } = this.resync;
+        const kept = [];
+        const dropped = [];
+        let clamped = 0;
+
+        for (const subtitle of subtitles) {
+            let startTime = Math.round(subtitle.startTime * scale + offset);
+            let endTime = Math.round(subtitle.endTime * scale + offset);
+
+            if (startTime < 0) {
+                clamped++;
+                startTime = 0;
+                endTime = Math.max(0, endTime);
+            }
+            if (endTime <= startTime) {
+                dropped.push(subtitle);
+                continue;
+            }
+
+            Object.assign(subtitle, { startTime, endTime, duration: endTime - startTime });
+            kept.push(subtitle);
+        }
+
+        if (clamped > 0) {
+            console.error(`Warning: ${tierName}: ${clamped} cue(s) moved before 0 were clamped to 0`);
+        }
+        if (dropped.length > 0) {
+            console.error(`Warning: ${tierName}: ${dropped.length} cue(s) ended before 0 and were dropped:`);
+            dropped.forEach(cue => console.error(`  #${cue.index} "${cue.text}"`));
+        }
+
+        return { subtitles: kept, clamped, dropped: dropped.length };
+    }
+
+    // Optional clean-up of a tier's cues (sorted by start time), in this order:
+    // overlaps trimmed, short and close cues merged, long cues split at sentence
+    // ends, and silences filled with empty annotations
+    adjustSegments(subtitles) {
+        const { mergeShorter, mergeGap, splitLonger, fixOverlaps, fillGaps } = this.segments;
+        const counts = { overlapsFixed: 0, merged: 0, split: 0, gapsFilled: 0 };
+        const join = (first, second) => {
+            const endTime = Math.max(first.endTime, second.endTime);
+            const text = [first.text, second.text].filter(Boolean).join(' ');
+            const joined = { ...first, endTime, text, duration: endTime - first.startTime };
+            if (first.markup !== undefined || second.markup !== undefined) {
+                joined.markup = [first.markup ?? first.text, second.markup ?? second.text].filter(Boolean).join(' ');
+            }
+            return joined;
+        };
+        let result = subtitles.map(subtitle => ({ ...subtitle }));
+
+        // ELAN allows no overlap on one tier: the earlier cue ends where the
+        // next begins, and cues starting together become one
+        if (fixOverlaps) {
+            const fixed = [];
+            for (const subtitle of result) {
+                const previous = fixed[fixed.length - 1];
+                if (previous && subtitle.startTime < previous.endTime) {
+                    counts.overlapsFixed++;
+                    if (subtitle.startTime === previous.startTime) {
+                        fixed[fixed.length - 1] = join(previous, subtitle);
+                        continue;
+                    }
+                    previous.endTime = subtitle.startTime;
+                    previous.duration = previous.endTime - previous.startTime;
+                }
+                fixed.push(subtitle);
+            }
+            result = fixed;
+        }
+
+        // Fragments join the nearer neighbour; the result is checked again
+        if (mergeShorter !== null) {
+            const merged = [];
+            for (let i = 0; i < result.length; i++) {
+                const subtitle = result[i];
+                const previous = merged[merged.length - 1];
+                const next = result[i + 1];
+                if (subtitle.endTime - subtitle.startTime >= mergeShorter || (!previous && !next)) {
+                    merged.push(subtitle);
+                    continue;
+                }
+                counts.merged++;
+                if (previous && (!next || subtitle.startTime - previous.endTime <= next.startTime - subtitle.endTime)) {
+                    merged[merged.length - 1] = join(previous, subtitle);
+                } else {
+                    result[i + 1] = join(subtitle, next);
+                }
+            }
+            result = merged;
+        }
+
+        if (mergeGap !== null) {
+            const merged = [];
+            for (const subtitle of result) {
+                const previous = merged[merged.length - 1];
+                if (previous && subtitle.startTime - previous.endTime < mergeGap) {
+                    merged[merged.length - 1] = join(previous, subtitle);
+                    counts.merged++;
+                } else {
+                    merged.push(subtitle);
+                }
+            }
+            result = merged;
+        }
+
+        // Sentences are grouped into pieces that fit the limit; each piece gets
+        // the cue's time in proportion to its share of the text
+        if (splitLonger !== null) {
+            result = result.flatMap(subtitle => {
+                const duration = subtitle.endTime - subtitle.startTime;
+                const sentences = subtitle.text.split(SENTENCE_END).filter(sentence => sentence.trim());
+                if (duration <= splitLonger || sentences.length < 2) {
+                    return [subtitle];
+                }
+
+                const total = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+                const pieces = [];
+                for (const sentence of sentences) {
+                    const current = pieces[pieces.length - 1];
+                    if (current && duration * (current.length + sentence.length) / total <= splitLonger) {
+                        current.text += ` ${sentence}`;
+                        current.length += sentence.length;
+                    } else {
+                        pieces.push({ text: sentence, length: sentence.length });
+                    }
+                }
+
+                counts.split += pieces.length - 1;
+                let before = 0;
+                // Tags cannot be divided along with the text; split cues lose them
+                const { markup, ...unformatted } = subtitle;
+                return pieces.map(piece => {
+                    const startTime = subtitle.startTime + Math.round(duration * before / total);
+                    before += piece.length;
+                    const endTime = subtitle.startTime + Math.round(duration * before / total);
+                    return { ...unformatted, startTime, endTime, text: piece.text.trim(), duration: endTime - startTime };
+                });
+            });
+        }
+
+        // Empty annotations (marked as gaps) let transcribers tab through silences
+        if (fillGaps !== null) {
+            const filled = [];
+            let end = 0;
+            for (const subtitle of result) {
+                if (subtitle.startTime - end >= Math.max(fillGaps, 1)) {
+                    filled.push({ index: null, startTime: end, endTime: subtitle.startTime, text: '', duration: subtitle.startTime - end, gap: true });
+                    counts.gapsFilled++;
+                }
+                filled.push(subtitle);
+                end = Math.max(end, subtitle.endTime);
+            }
+            result = filled;
+        }
+
+        return { subtitles: result, ...counts };
+    }
+
+    // Register a tier under a unique, ELAN-safe name. Names given explicitly
+    // (exactName) are kept as they are apart from the uniqueness suffix
+    createTier(baseName, subtitles, sourceFile, exactName = false) {
+        const tierName = exactName ? baseName : baseName.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+        let resync = null;
+        if (this.isResyncTier(baseName, sourceFile)) {
+            ({ subtitles, ...resync } = this.applyResync(subtitles, baseName));
+            if (resync.clamped > 0 || resync.dropped > 0) {
+                this.reportIssue(sourceFile, 'resyncAdjustments', { tier: baseName, ...resync });
+            }
+        }
+
+        let segments = null;
+        if (this.segments) {
+            ({ subtitles, ...segments } = this.adjustSegments(subtitles));
+            const changes = [
+                [segments.overlapsFixed, 'overlap(s) resolved'],
+                [segments.merged, 'cue(s) merged'],
+                [segments.split, 'cue(s) split'],
+                [segments.gapsFilled, 'gap(s) filled']
+            ].filter(([count]) => count > 0);
+            if (changes.length > 0) {
+                console.error(`Note: ${baseName}: ${changes.map(([count, what]) => `${count} ${what}`).join(', ')}`);
+            }
+            const entry = this.fileReport(sourceFile);
+            entry.segments = entry.segments || {};
+            SEGMENT_COUNTS.forEach(key => { entry.segments[key] = (entry.segments[key] || 0) + segments[key]; });
+        }
+
+        // Segments starting before an earlier one (on the same tier) has ended
+        let latest = null;
+        for (const subtitle of subtitles) {
+            if (latest && subtitle.startTime < latest.endTime) {
+                this.reportIssue(sourceFile, 'overlaps', {
+                    tier: baseName,
+                    index: latest.index,
+                    overlappedBy: subtitle.index,
+                    startTime: subtitle.startTime,
+                    endTime: Math.min(latest.endTime, subtitle.endTime)
+                });
+            }
+            if (!latest || subtitle.endTime > latest.endTime) {
+                latest = subtitle;
+            }
+        }
+
+        const tier = {
+            name: this.uniqueTierName(tierName),
+            displayName: baseName,
+            subtitles: subtitles,
+            sourceFile: sourceFile,
+            // reduce rather than Math.max(...): spreading huge cue lists overflows the stack
+            totalDuration: subtitles.length > 0
+                ? subtitles.reduce((max, s) => Math.max(max, s.endTime), -Infinity) - subtitles.reduce((min, s) => Math.min(min, s.startTime), Infinity)
+                : 0
+        };
+        if (resync) {
+            tier.resync = resync;
+        }
+
+        this.tiers.push(tier);
+        return tier;
+    }
+
+    // Ensure tier name is unique
+    uniqueTierName(tierName) {
+        let uniqueTierName = tierName;
+        let counter = 1;
+        while (this.tiers.some(tier => tier.name === uniqueTierName) || this.reservedTierNames.has(uniqueTierName)) {
+            uniqueTierName = `${tierName}_${counter++}`;
+        }
+        return uniqueTierName;
+    }
+
+    // Participant, language and annotator of a tier. tierMetadata entries for the
+    // tier name win over entries for its file, which win over what the input set
+    // itself (speaker labels, API metadata); the '*' entry fills in the rest
+    resolveTierMetadata(tier) {
+        const { tierMetadata } = this.options;
+        const own = {};
+        for (const key of ['participant', 'language', 'annotator']) {
+            if (tier[key]) {
+                own[key] = tier[key];
+            }
+        }
+
+        return {
+            participant: null,
+            language: null,
+            annotator: null,
+            ...tierMetadata['*'],
+            ...own,
+            ...(tier.sourceFile && tierMetadata[path.basename(tier.sourceFile)]),
+            ...tierMetadata[tier.displayName],
+            ...tierMetadata[tier.name]
+        };
+    }
+
+    // PARTICIPANT of a tier nobody set one for: its name, except on dialogue
+    // dash tiers, whose turns belong to no one speaker
+    defaultParticipant(tier) {
+        return tier.unattributed ? null : tier.displayName;
+    }
+
+    // story.en.srt and story.zh.srt next to story.srt are translations of it:
+    // they become Symbolic_Association children of the story tier. Returns the
+    // tiers reordered so each parent is followed by its children
+    linkTranslationTiers(tiers) {
+        const stemOf = tier => tier.sourceFile.slice(0, tier.sourceFile.length - path.extname(tier.sourceFile).length);
+        const candidates = tiers.filter(tier => path.extname(tier.sourceFile).toLowerCase() !== '.textgrid');
+        const byStem = new Map();
+        for (const tier of candidates) {
+            byStem.set(stemOf(tier), [...(byStem.get(stemOf(tier)) || []), tier]);
+        }
+        const childrenOf = new Map();
+        const reports = [];
+        // Tiers that already have a parent (--lines) stay after it
+        for (const tier of tiers.filter(tier => tier.parentRef)) {
+            const parent = tiers.find(other => other.name === tier.parentRef);
+            childrenOf.set(parent, [...(childrenOf.get(parent) || []), tier]);
+        }
+
+        for (const tier of candidates) {
+            const match = LANGUAGE_SUFFIX.exec(stemOf(tier));
+            const parents = match ? byStem.get(match[1]) || [] : [];
+            // Files split into several (speaker) tiers have no single parent or child
+            if (parents.length !== 1 || byStem.get(stemOf(tier)).length !== 1 || parents[0].parentRef) {
+                continue;
+            }
+            const parent = parents[0];
+
+            const report = this.linkTranslationTier(parent, tier);
+            reports.push({ ...report, language: match[2] });
+            tier.suffixLanguage = this.suffixLanguageCode(match[2]);
+            childrenOf.set(parent, [...(childrenOf.get(parent) || []), tier]);
+        }
+
+        const ordered = [];
+        for (const tier of tiers.filter(tier => !tier.parentRef)) {
+            ordered.push(tier, ...(childrenOf.get(tier) || []));
+        }
+
+        return { tiers: ordered, translations: reports };
+    }
+
+    // ISO 639-3 code of a file name's language suffix: en, en-US and eng all
+    // give eng. Null for codes that are not ISO 639-1 or 639-3 shaped
+    suffixLanguageCode(suffix) {
+        const code = suffix.split(/[-_]/)[0].toLowerCase();
+        if (code.length === 2) {
+            return ISO_639_1_TO_3.get(code) || null;
+        }
+        return LANGUAGE_CODE_PATTERN.test(code) ? code : null;
+    }
+
+    // Match each translation cue to the parent segment it overlaps most;
+    // several cues on one segment are joined, cues overlapping none are reported
+    linkTranslationTier(parentTier, childTier) {
+        const segments = parentTier.subtitles;
+        const texts = new Map();
+        const unmatched = [];
+
+        // Running maximum of segment ends, so segments that finished before
+        // a cue starts can be skipped for good (cues are sorted by start)
+        const maxEnd = [];
+        segments.forEach((segment, i) => {
+            maxEnd[i] = Math.max(i > 0 ? maxEnd[i - 1] : 0, segment.endTime);
+        });
+
+        let first = 0;
+        // Filled gaps carry no translation; the parent's timing is used anyway
+        for (const cue of childTier.subtitles.filter(subtitle => !subtitle.gap)) {
+            while (first < segments.length && maxEnd[first] <= cue.startTime) {
+                first++;
+            }
+
+            let best = null;
+            let bestOverlap = 0;
+            for (let i = first; i < segments.length && segments[i].startTime < cue.endTime; i++) {
+                const overlap = Math.min(cue.endTime, segments[i].endTime) - Math.max(cue.startTime, segments[i].startTime);
+                if (overlap > bestOverlap) {
+                    best = segments[i];
+                    bestOverlap = overlap;
+                }
+            }
+
+            if (best) {
+                texts.set(best, [...(texts.get(best) || []), cue.text]);
+            } else {
+                unmatched.push(cue);
+            }
+        }
+
+        childTier.subtitles = segments
+            .filter(segment => texts.has(segment))
+            .map(segment => ({
+                index: segment.index,
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                text: texts.get(segment).filter(Boolean).join(' '),
+                duration: segment.duration,
+                parent: segment
+            }));
+        childTier.parentRef = parentTier.name;
+        childTier.linguisticType = 'translation';
+        for (const cue of unmatched) {
+            this.reportIssue(childTier.sourceFile, 'unmatchedTranslations', {
+                tier: childTier.name,
+                index: cue.index,
+                startTime: cue.startTime,
+                endTime: cue.endTime
+            });
+        }
+
+        return {
+            tier: childTier.name,
+            parent: parentTier.name,
+            matched: childTier.subtitles.length,
+            merged: Array.from(texts.values()).filter(list => list.length > 1).length,
+            unmatched: unmatched.map(({ index, startTime, endTime, text }) => ({ index, startTime, endTime, text }))
+        };
+    }
+
+    // Included_In: each cue keeps its own times but must lie inside one parent
+    // segment, or ELAN rejects the file. Cues that fit none are reported and
+    // left out
+    linkIncludedTier(parentTier, childTier) {
+        const segments = [...parentTier.subtitles].sort((a, b) => a.startTime - b.startTime);
+        const uncontained = new Set();
+
+        // Latest end among the segments starting no later than the cue: the
+        // cue fits inside one of them exactly when that end reaches its end
+        let next = 0;
+        let maxEnd = -Infinity;
+        for (const cue of [...childTier.subtitles].sort((a, b) => a.startTime - b.startTime)) {
+            while (next < segments.length && segments[next].startTime <= cue.startTime) {
+                maxEnd = Math.max(maxEnd, segments[next++].endTime);
+            }
+            if (maxEnd < cue.endTime) {
+                uncontained.add(cue);
+            }
+        }
+
+        childTier.subtitles = childTier.subtitles.filter(cue => !uncontained.has(cue));
+        childTier.parentRef = parentTier.name;
+        for (const cue of uncontained) {
+            this.reportIssue(childTier.sourceFile, 'uncontainedCues', {
+                tier: childTier.name,
+                index: cue.index,
+                startTime: cue.startTime,
+                endTime: cue.endTime
+            });
+        }
+
+        return {
+            tier: childTier.name,
+            parent: parentTier.name,
+            uncontained: Array.from(uncontained, ({ index, startTime, endTime, text }) => ({ index, startTime, endTime, text }))
+        };
+    }
+
+    // Enhanced file processing with better error handling
+    processSRTFile(filePath, content, tierName = null) {
+        try {
+            const text = this.readInputFile(filePath, content);
+            const subtitles = this.parseSubtitleFile(text, filePath);
+            this.fileReport(filePath).cues = subtitles.length;
+
+            if (subtitles.length === 0) {
+                this.fileReport(filePath).error = 'No valid subtitles found';
+                return null;
+            }
+
+            if (tierName) {
+                return this.createTier(tierName, subtitles, filePath, true);
+            }
+            return this.createTier(path.basename(filePath, path.extname(filePath)), subtitles, filePath);
+
+        } catch (error) {
+            console.error(`Error processing ${filePath}: ${error.message}`);
+            this.fileReport(filePath).error = error.message;
+            return null;
+        }
+    }
+
+    // Speaker-split files: one tier per speaker, PARTICIPANT set to the speaker.
+    // Cues without a label continue the previous speaker; dialogue dash turns
+    // go to a _dialogue tier without a participant and continue nobody
+    processSpeakerFile(filePath, content, tierName = null) {
+        try {
+            const text = this.readInputFile(filePath, content);
+            const subtitles = this.parseSubtitleFile(text, filePath);
+            this.fileReport(filePath).cues = subtitles.length;
+            const baseName = tierName || path.basename(filePath, path.extname(filePath));
+            const groups = new Map();
+            let currentSpeaker = null;
+
+            for (const subtitle of subtitles) {
+                if (subtitle.speaker) {
+                    currentSpeaker = subtitle.speaker;
+                } else if (currentSpeaker && !subtitle.dialogue) {
+                    subtitle.speaker = currentSpeaker;
+                }
+
+                const key = subtitle.dialogue ? DIALOGUE_TURNS : subtitle.speaker || null;
+                const group = groups.get(key) || [];
+                const previous = group[group.length - 1];
+                // An unlabelled opening and a labelled turn by the same speaker in one cue
+                if (previous && previous.startTime === subtitle.startTime && previous.endTime === subtitle.endTime) {
+                    previous.text = [previous.text, subtitle.text].filter(Boolean).join('\n');
+                    continue;
+                }
+                group.push(subtitle);
+                groups.set(key, group);
+            }
+
+            const tiers = [];
+            for (const [speaker, group] of groups) {
+                if (speaker === DIALOGUE_TURNS) {
+                    tiers.push(Object.assign(this.createTier(`${baseName}_dialogue`, group, filePath), { unattributed: true }));
+                    continue;
+                }
+                const tier = this.createTier(speaker ? `${baseName}_${speaker}` : baseName, group, filePath);
+                if (speaker) {
+                    tier.participant = speaker;
+                }
+                tiers.push(tier);
+            }
+            return tiers;
+
+        } catch (error) {
+            console.error(`Error processing ${filePath}: ${error.message}`);
+            this.fileReport(filePath).error = error.message;
+            return [];
+        }
+    }
+
+    // ASS/SSA files split by Actor (--split-speakers) and/or Style
+    // (--split-styles): one tier per actor, per style or per combination.
+    // Dialogue without an actor stays on the file's own tier, dialogue dash
+    // turns go to a _dialogue tier
+    processASSFile(filePath, content, tierName = null) {
+        try {
+            const text = this.readInputFile(filePath, content);
+            const subtitles = this.parseASS(text, filePath);
+            this.fileReport(filePath).cues = subtitles.length;
+            const baseName = tierName || path.basename(filePath, path.extname(filePath));
+            const groups = new Map();
+
+            for (const subtitle of subtitles) {
+                const speaker = this.options.splitSpeakers ? subtitle.speaker || null : null;
+                const style = this.options.splitStyles ? subtitle.style || null : null;
+                const name = [baseName, style, speaker || (subtitle.dialogue && 'dialogue')].filter(Boolean).join('_');
+                if (!groups.has(name)) {
+                    groups.set(name, { speaker, dialogue: !speaker && Boolean(subtitle.dialogue), subtitles: [] });
+                }
+                groups.get(name).subtitles.push(subtitle);
+            }
+
+            return Array.from(groups, ([name, group]) => {
+                const tier = this.createTier(name, group.subtitles, filePath);
+                if (group.speaker) {
+                    tier.participant = group.speaker;
+                } else if (group.dialogue) {
+                    tier.unattributed = true;
+                }
+                return tier;
+            });
+
+        } catch (error) {
+            console.error(`Error processing ${filePath}: ${error.message}`);
+            this.fileReport(filePath).error = error.message;
+            return [];
+        }
+    }
+
+    // --lines: each line position of a cue goes to its own tier. The first role
+    // is the time-aligned parent and the others its symbolic children; cues
+    // with fewer lines get empty child annotations, and lines beyond the last
+    // role stay with it and are reported
+    processLinesFile(filePath, content, tierName = null) {
+        try {
+            const text = this.readInputFile(filePath, content);
+            const subtitles = this.parseSubtitleFile(text, filePath);
+            this.fileReport(filePath).cues = subtitles.length;
+
+            if (subtitles.length === 0) {
+                this.fileReport(filePath).error = 'No valid subtitles found';
+                return [];
+            }
+
+            const roles = this.options.lineRoles;
+            const baseName = tierName || path.basename(filePath, path.extname(filePath));
+            const byRole = roles.map(() => []);
+            let extra = 0;
+
+            for (const subtitle of subtitles) {
+                const lines = subtitle.text === '' ? [] : subtitle.text.split('\n');
+                if (lines.length > roles.length) {
+                    extra++;
+                    this.reportIssue(filePath, 'extraLines', {
+                        index: subtitle.index,
+                        startTime: subtitle.startTime,
+                        lines: lines.length,
+                        extra: lines.slice(roles.length)
+                    });
+                }
+                // Formatting follows the lines when the markup has as many
+                const { markup, ...unformatted } = subtitle;
+                const markupLines = markup === undefined ? [] : markup.split('\n');
+                const lineOf = (list, r) => r === roles.length - 1 ? list.slice(r).join('\n') : list[r] || '';
+                roles.forEach((role, r) => {
+                    const cue = { ...unformatted, text: lineOf(lines, r).trim() };
+                    if (markupLines.length === lines.length && lineOf(markupLines, r).trim() !== cue.text) {
+                        cue.markup = lineOf(markupLines, r).trim();
+                    }
+                    byRole[r].push(cue);
+                });
+            }
+
+            if (extra > 0) {
+                console.error(`Warning: ${path.basename(filePath)}: ${extra} cue(s) have more than ${roles.length} lines; the rest was kept on the ${roles[roles.length - 1]} tier`);
+            }
+
+            // Children are linked by overlap, so resync and segment clean-up
+            // on the parent cannot break the pairing
+            const [parent, ...children] = roles.map((role, r) => this.createTier(`${baseName}_${role}`, byRole[r], filePath, Boolean(tierName)));
+            for (const child of children) {
+                this.linkTranslationTier(parent, child);
+            }
+            return [parent, ...children];
+
+        } catch (error) {
+            console.error(`Error processing ${filePath}: ${error.message}`);
+            this.fileReport(filePath).error = error.message;
+            return [];
+        }
+    }
+
+    // TextGrids hold several tiers; every IntervalTier becomes an ELAN tier
+    processTextGridFile(filePath, content) {
+        try {
+            const text = this.readInputFile(filePath, content);
+            const gridTiers = this.parseTextGrid(text, filePath);
+            this.fileReport(filePath).cues = gridTiers.reduce((sum, gridTier) => sum + gridTier.subtitles.length, 0);
+            const tiers = [];
+
+            for (const gridTier of gridTiers) {
+                if (gridTier.subtitles.length === 0) {
+                    continue;
+                }
+                tiers.push(this.createTier(gridTier.name, gridTier.subtitles, filePath));
+            }
+
+            return tiers;
+
+        } catch (error) {
+            console.error(`Error processing ${filePath}: ${error.message}`);
+            this.fileReport(filePath).error = error.message;
+            return [];
+        }
+    }
+
+    // All tiers produced by one input file (empty when it could not be processed)
+    // tierName replaces the name taken from the file (TextGrids keep their own
+    // tier names); participant, language and annotator apply to every tier that
+    // has none of its own
+    processInputFile(filePath, content, metadata = {}) {
+        const { tierName = null } = metadata;
+        this.validateLanguageCode(metadata.language, filePath);
+        const ext = path.extname(filePath).toLowerCase();
+        let tiers;
+        if (ext === '.textgrid') {
+            tiers = this.processTextGridFile(filePath, content);
+        } else if (ASS_EXTENSIONS.includes(ext) && (this.options.splitSpeakers || this.options.splitStyles)) {
+            tiers = this.processASSFile(filePath, content, tierName);
+        } else if (this.options.lineRoles) {
+            tiers = this.processLinesFile(filePath, content, tierName);
+        } else if (this.options.splitSpeakers) {
+            tiers = this.processSpeakerFile(filePath, content, tierName);
+        } else {
+            const tier = this.processSRTFile(filePath, content, tierName);
+            tiers = tier ? [tier] : [];
+        }
+
+        for (const key of ['participant', 'language', 'annotator']) {
+            if (metadata[key]) {
+                tiers.filter(tier => !tier[key]).forEach(tier => { tier[key] = metadata[key]; });
+            }
+        }
+        return tiers;
+    }
+
+    // Flag annotations that end after the media does. Only media descriptors
+    // with a duration (in milliseconds) count; the longest one is the limit
+    checkMediaDuration(tiers, mediaFile) {
+        const durations = [].concat(mediaFile || [])
+            .map(media => media && media.duration)
+            .filter(Number.isFinite);
+        if (durations.length === 0) {
+            return;
+        }
+        const limit = durations.reduce((max, duration) => Math.max(max, duration));
+
+        for (const tier of tiers) {
+            // Symbolic tiers take their times from the parent
+            if (!this.linguisticTypes[tier.linguisticType || 'default-lt'].timeAlignable) {
+                continue;
+            }
+            const late = tier.subtitles.filter(subtitle => subtitle.endTime > limit);
+            for (const subtitle of late) {
+                this.reportIssue(tier.sourceFile, 'pastMediaEnd', {
+                    tier: tier.name,
+                    index: subtitle.index,
+                    startTime: subtitle.startTime,
+                    endTime: subtitle.endTime,
+                    mediaDuration: limit
+                });
+            }
+            if (late.length > 0) {
+                console.error(`Warning: ${tier.name}: ${late.length} annotation(s) end after the media (${limit}ms)`);
+            }
+        }
+    }
+
+    // Tiers from every input, translation files linked to their parents, and the
+    // finished document. Inputs are { name, content } plus optional tierName,
+    // participant, language and annotator; without content, readInputFile has
+    // to supply it
+    buildDocument(inputs, options = {}) {
+        const { mediaFile = null, author = null, format = 'eaf', mergeTarget = null, stream = false } = options;
+
+        const validTiers = [];
+        const failedFiles = [];
+
+        for (const input of inputs) {
+            const tiers = this.processInputFile(input.name, input.content, input);
+            if (tiers.length > 0) {
+                validTiers.push(...tiers);
+            } else {
+                failedFiles.push(input.name);
+            }
+        }
+
+        if (validTiers.length === 0) {
+            throw new Error('No valid subtitle files could be processed');
+        }
+
+        if (failedFiles.length > 0) {
+            console.error(`Warning: ${failedFiles.length} file(s) could not be processed:`);
+            failedFiles.forEach(file => console.error(`  ${path.basename(file)}`));
+        }
+
+        // Language-suffixed files become translation tiers of their base file
+        const { tiers: linkedTiers, translations } = this.linkTranslationTiers(validTiers);
+        validTiers.length = 0;
+        linkedTiers.forEach(tier => validTiers.push(tier));
+
+        for (const translation of translations) {
+            if (translation.merged > 0) {
+                console.error(`Note: ${translation.tier}: ${translation.merged} ${translation.parent} segment(s) matched several cues; their text was joined`);
+            }
+            if (translation.unmatched.length > 0) {
+                console.error(`Warning: ${translation.tier}: ${translation.unmatched.length} cue(s) do not overlap any ${translation.parent} segment:`);
+                translation.unmatched.forEach(cue => console.error(`  #${cue.index} ${cue.startTime}ms --> ${cue.endTime}ms "${cue.text}"`));
+            }
+        }
+
+        this.checkMediaDuration(validTiers, mediaFile);
+
+        // stream: output is a sequence of strings (generateOutputChunks)
+        let output;
+        if (mergeTarget) {
+            output = this.mergeIntoELAN(mergeTarget, validTiers, { mediaFile });
+        } else if (stream) {
+            output = this.generateOutputChunks(validTiers, format, { mediaFile, author });
+        } else {
+            output = this.generateOutput(validTiers, format, { mediaFile, author });
+        }
+
+        return { output, tiers: validTiers, translations, failedFiles };
+    }
+
+    // In-memory conversion of several inputs into one document. Returns the
+    // EAF (or TextGrid) text, the tier model and the validation report. `into`
+    // is the text of an EAF document to append to
+    convertInputs(inputs, options = {}) {
+        const { mediaFile = null, author = null, format = 'eaf', into = null } = options;
+
+        this.resetState();
+        this.beginReport();
+        const mergeTarget = into ? this.prepareMergeContent(into) : null;
+        const { output, tiers, translations, failedFiles } = this.buildDocument(inputs, { mediaFile, author, format, mergeTarget });
+
+        return {
+            output,
+            tiers,
+            translations,
+            failedFiles,
+            encodings: Array.from(this.fileEncodings, ([file, { encoding, replacements }]) => ({ file, encoding, replacements })),
+            report: this.buildReport()
+        };
+    }
+
+    // Check a project manifest and fill in defaults, without touching the disk.
+    // Returns the documents and every problem found, each prefixed with where
+    // it is ("documents[0].tiers[2].language: ...")
+    validateManifest(manifest) {
+        const errors = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const checkFields = (object, where, allowed) => {
+            Object.keys(object)
+                .filter(key => !allowed.includes(key))
+                .forEach(key => errors.push(`${where}: unknown field "${key}"`));
+        };
+
+        if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.documents) || manifest.documents.length === 0) {
+            return { documents: [], errors: ['documents: expected a non-empty list of documents'] };
+        }
+        checkFields(manifest, 'manifest', ['documents']);
+
+        const documents = manifest.documents.map((document, d) => {
+            const where = `documents[${d}]`;
+            if (!document || typeof document !== 'object' || Array.isArray(document)) {
+                errors.push(`${where}: expected an object`);
+                return null;
+            }
+            checkFields(document, where, ['output', 'format', 'media', 'author', 'date', 'locale', 'linguisticTypes', 'tiers']);
+
+            const { output, format = 'eaf', author = null, date = null, locale = null } = document;
+            if (!isText(output)) {
+                errors.push(`${where}.output: required, the path of the file to write`);
+            }
+            if (!OUTPUT_WRITERS[format]) {
+                errors.push(`${where}.format: unknown format "${format}" (expected: ${Object.keys(OUTPUT_WRITERS).join(', ')})`);
+            }
+            const media = [].concat(document.media || []);
+            if (!media.every(isText)) {
+                errors.push(`${where}.media: expected a file name or a list of file names`);
+            }
+            if (author !== null && !isText(author)) {
+                errors.push(`${where}.author: expected a name`);
+            }
+            if (date !== null && isNaN(new Date(date).getTime())) {
+                errors.push(`${where}.date: invalid date "${date}"`);
+            }
+            if (locale !== null && !LOCALE_PATTERN.test(locale)) {
+                errors.push(`${where}.locale: invalid locale "${locale}" (expected e.g. en or en-US)`);
+            }
+
+            // Own linguistic types: { "gloss": { "constraint": "Symbolic_Association" } }
+            const linguisticTypes = {};
+            for (const [typeId, definition] of Object.entries(document.linguisticTypes || {})) {
+                if (!ELAN_ID_PATTERN.test(typeId)) {
+                    errors.push(`${where}.linguisticTypes: invalid type ID ${JSON.stringify(typeId)} (no control characters or surrounding spaces)`);
+                    continue;
+                }
+                const constraint = definition && definition.constraint !== undefined ? definition.constraint : null;
+                if (!MANIFEST_CONSTRAINTS.includes(constraint)) {
+                    errors.push(`${where}.linguisticTypes.${typeId}.constraint: unsupported constraint "${constraint}" (expected: ${MANIFEST_CONSTRAINTS.filter(Boolean).join(', ')} or null)`);
+                    continue;
+                }
+                linguisticTypes[typeId] = { timeAlignable: constraint !== 'Symbolic_Association', constraint };
+            }
+            const types = { ...LINGUISTIC_TYPES, ...linguisticTypes };
+
+            if (!Array.isArray(document.tiers) || document.tiers.length === 0) {
+                errors.push(`${where}.tiers: expected a non-empty list of tiers`);
+                return null;
+            }
+
+            const names = new Set();
+            const tiers = document.tiers.map((tier, t) => {
+                const tierWhere = `${where}.tiers[${t}]`;
+                if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+                    errors.push(`${tierWhere}: expected an object`);
+                    return null;
+                }
+                checkFields(tier, tierWhere, ['source', 'content', 'sourceTier', 'name', 'type', 'parent', 'participant', 'annotator', 'language']);
+
+                if (!isText(tier.source)) {
+                    errors.push(`${tierWhere}.source: required, the subtitle file this tier is made from`);
+                    return null;
+                }
+                const ext = path.extname(tier.source).toLowerCase();
+                if (!SUBTITLE_EXTENSIONS.includes(ext)) {
+                    errors.push(`${tierWhere}.source: unsupported file type "${ext}" (expected: ${SUBTITLE_EXTENSIONS.join(', ')})`);
+                }
+                if (ext === '.textgrid' && !isText(tier.sourceTier)) {
+                    errors.push(`${tierWhere}.sourceTier: required for TextGrid sources, the interval tier to use`);
+                }
+
+                const name = tier.name === undefined ? path.basename(tier.source, path.extname(tier.source)) : tier.name;
+                if (!isText(name)) {
+                    errors.push(`${tierWhere}.name: expected a tier name`);
+                } else if (!ELAN_ID_PATTERN.test(name)) {
+                    errors.push(`${tierWhere}.name: invalid tier name ${JSON.stringify(name)} (no control characters or surrounding spaces)`);
+                } else if (names.has(name)) {
+                    errors.push(`${tierWhere}.name: duplicate tier name "${name}"`);
+                }
+
+                for (const key of ['participant', 'annotator']) {
+                    if (tier[key] !== undefined && !isText(tier[key])) {
+                        errors.push(`${tierWhere}.${key}: expected a name`);
+                    }
+                }
+                if (tier.language !== undefined && !LANGUAGE_CODE_PATTERN.test(tier.language)) {
+                    errors.push(`${tierWhere}.language: invalid ISO 639-3 language code "${tier.language}"`);
+                }
+
+                const parent = tier.parent === undefined ? null : tier.parent;
+                if (parent !== null && !names.has(parent)) {
+                    errors.push(`${tierWhere}.parent: "${parent}" is not a tier listed before this one`);
+                }
+
+                const type = tier.type === undefined ? (parent ? 'translation' : 'default-lt') : tier.type;
+                if (!types[type]) {
+                    errors.push(`${tierWhere}.type: unknown linguistic type "${type}" (expected: ${Object.keys(types).join(', ')})`);
+                } else if (!parent && types[type].constraint) {
+                    errors.push(`${tierWhere}.type: "${type}" is a dependent type (${types[type].constraint}) and needs a parent`);
+                } else if (parent && !types[type].constraint) {
+                    errors.push(`${tierWhere}.type: "${type}" has no constraint, so the tier cannot have a parent`);
+                }
+
+                names.add(name);
+                return {
+                    source: tier.source,
+                    content: tier.content,
+                    sourceTier: tier.sourceTier || null,
+                    name,
+                    type,
+                    parent,
+                    participant: tier.participant || null,
+                    annotator: tier.annotator || null,
+                    language: tier.language || null
+                };
+            });
+
+            return { output, format, media, author, date, locale, linguisticTypes, tiers };
+        });
+
+        return { documents, errors };
+    }
+
+    // One manifest document (as returned by validateManifest): each source
+    // becomes exactly the tier described and is linked to its parent the way
+    // the tier's linguistic type says. Tiers without inline content are read
+    // through readInputFile, which only the Node converter can do. With
+    // stream, output is a sequence of strings (generateOutputChunks)
+    buildManifestDocument(document, options = {}) {
+        const { mediaFile = null, author = null, stream = false } = options;
+        this.linguisticTypes = { ...LINGUISTIC_TYPES, ...document.linguisticTypes };
+        const tiers = [];
+        const byName = new Map();
+
+        for (const spec of document.tiers) {
+            let tier;
+            if (spec.sourceTier) {
+                const text = this.readInputFile(spec.source, spec.content);
+                const gridTier = this.parseTextGrid(text, spec.source).find(grid => grid.name === spec.sourceTier);
+                if (!gridTier || gridTier.subtitles.length === 0) {
+                    throw new Error(`${spec.source}: no interval tier "${spec.sourceTier}" with intervals`);
+                }
+                tier = this.createTier(spec.name, gridTier.subtitles, spec.source, true);
+            } else {
+                tier = this.processSRTFile(spec.source, spec.content, spec.name);
+                if (!tier) {
+                    throw new Error(`No subtitles could be read from ${spec.source}`);
+                }
+            }
+
+            for (const key of ['participant', 'annotator', 'language']) {
+                if (spec[key]) {
+                    tier[key] = spec[key];
+                }
+            }
+
+            if (spec.parent) {
+                const parent = byName.get(spec.parent);
+                if (this.linguisticTypes[spec.type].constraint === 'Symbolic_Association') {
+                    const { unmatched } = this.linkTranslationTier(parent, tier);
+                    if (unmatched.length > 0) {
+                        console.error(`Warning: ${tier.name}: ${unmatched.length} cue(s) do not overlap any ${parent.name} segment`);
+                    }
+                } else {
+                    const { uncontained } = this.linkIncludedTier(parent, tier);
+                    if (uncontained.length > 0) {
+                        console.error(`Warning: ${tier.name}: ${uncontained.length} cue(s) are not inside any ${parent.name} segment and were left out`);
+                    }
+                }
+            }
+            tier.linguisticType = spec.type;
+
+            byName.set(spec.name, tier);
+            tiers.push(tier);
+        }
+
+        const media = document.media.length > 0 ? document.media : mediaFile;
+        this.checkMediaDuration(tiers, media);
+
+        const generate = stream ? this.generateOutputChunks : this.generateOutput;
+        const output = generate.call(this, tiers, document.format, {
+            mediaFile: media,
+            author: document.author || author,
+            date: document.date,
+            locale: document.locale || undefined
+        });
+
+        return { output, tiers };
+    }
+
+    // Enhanced ELAN generation with metadata
+    generateELAN(tiers, options = {}) {
+        return Array.from(this.generateELANChunks(tiers, options)).join('');
+    }
+
+    // The EAF document in pieces (header, time slot by time slot, annotation by
+    // annotation), so a large document can be written out as it is generated
+    *generateELANChunks(tiers, options = {}) {
+        const { mediaFile = null, locale = this.options.locale } = options;
+        const author = options.author || DEFAULT_AUTHOR;
+        // A pinned date makes the output depend on the input only
+        const pinnedDate = options.date || this.options.date;
+        const date = new Date(pinnedDate === null ? Date.now() : pinnedDate).toISOString();
+
+        for (const tier of tiers) {
+            this.addTimeSlots(tier.subtitles);
+        }
+        
+        const sortedTimeSlots = Array.from(this.allTimeSlots.entries())
+            .sort(([timeA], [timeB]) => timeA - timeB);
+
+        // Every annotation gets the next ID as its tier is written
+        const lastUsedAnnotationId = this.annotationId - 1 + tiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += `<ANNOTATION_DOCUMENT AUTHOR="${this.escapeXML(author)}" `;
+        xml += `DATE="${date}" FORMAT="3.0" VERSION="3.0">\n`;
+
+        // Enhanced header with metadata
+        // mediaFile may also be a list (video plus separate audio, ...)
+        const mediaFiles = [].concat(mediaFile || []);
+        const primaryMedia = mediaFiles.length > 0 ? this.describeMediaFile(mediaFiles[0]).url : '';
+        xml += `    <HEADER MEDIA_FILE="${this.escapeXML(primaryMedia)}" TIME_UNITS="milliseconds">\n`;
+        for (const file of mediaFiles) {
+            xml += this.generateMediaDescriptorXML(file);
+        }
+        
+        // Add metadata about conversion
+        xml += '        <PROPERTY NAME="URN">urn:nl-mpi-tools-elan-eaf:srt-converter</PROPERTY>\n';
+        xml += `        <PROPERTY NAME="lastUsedAnnotationId">${lastUsedAnnotationId}</PROPERTY>\n`;
+        xml += '    </HEADER>\n';
+
+        // Time order
+        xml += '    <TIME_ORDER>\n';
+        yield xml;
+        for (const timeSlot of sortedTimeSlots) {
+            yield this.generateTimeSlotXML([timeSlot]);
+        }
+        yield '    </TIME_ORDER>\n';
+
+        // Generate tiers with enhanced metadata
+        for (const tier of tiers) {
+            yield* this.generateTierXMLChunks(tier);
+        }
+
+        // Linguistic types, locale, the languages tiers refer to and the
+        // standard constraints, in schema order
+        const usedTypes = new Set(['default-lt', ...tiers.map(tier => tier.linguisticType || 'default-lt')]);
+        xml = '';
+        for (const typeId of usedTypes) {
+            xml += this.generateLinguisticTypeXML(typeId);
+        }
+        xml += this.generateLocaleXML(locale);
+        for (const language of this.collectLanguages(tiers)) {
+            xml += this.generateLanguageXML(language);
+        }
+        for (const stereotype of Object.keys(CONSTRAINT_DESCRIPTIONS)) {
+            xml += this.generateConstraintXML(stereotype);
+        }
+
+        xml += '</ANNOTATION_DOCUMENT>\n';
+
+        yield xml;
+    }
+
+    // A media file name is written as given, with its basename as relative
+    // URL; srt2eaf.js passes descriptors with both URLs worked out
+    describeMediaFile(media) {
+        if (typeof media === 'string') {
+            return { url: media, relativeUrl: path.basename(media), mimeType: this.getMediaType(media) };
+        }
+        return { relativeUrl: null, mimeType: this.getMediaType(media.url), ...media };
+    }
+
+    generateMediaDescriptorXML(mediaFile) {
+        const { url, relativeUrl, mimeType, extractedFrom } = this.describeMediaFile(mediaFile);
+        let xml = '        <MEDIA_DESCRIPTOR ';
+        if (extractedFrom) {
+            xml += `EXTRACTED_FROM="${this.escapeXML(extractedFrom)}" `;
+        }
+        xml += `MEDIA_URL="${this.escapeXML(url)}" MIME_TYPE="${this.escapeXML(mimeType)}"`;
+        if (relativeUrl) {
+            xml += ` RELATIVE_MEDIA_URL="${this.escapeXML(relativeUrl)}"`;
+        }
+        xml += '/>\n';
+        return xml;
+    }
+
+    generateTimeSlotXML(sortedTimeSlots) {
+        let xml = '';
+        for (const [time, slotId] of sortedTimeSlots) {
+            xml += `        <TIME_SLOT TIME_SLOT_ID="${slotId}" TIME_VALUE="${time}"/>\n`;
+        }
+        return xml;
+    }
+
+    // typeId is the ID written to the document; type is the linguisticTypes entry it stands for
+    generateLinguisticTypeXML(typeId, type = typeId) {
+        const { timeAlignable, constraint } = this.linguisticTypes[type];
+        let xml = '    <LINGUISTIC_TYPE ';
+        if (constraint) {
+            xml += `CONSTRAINTS="${constraint}" `;
+        }
+        xml += `GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="${this.escapeXML(typeId)}" `;
+        xml += `TIME_ALIGNABLE="${timeAlignable}"/>\n`;
+        return xml;
+    }
+
+    generateConstraintXML(stereotype) {
+        return `    <CONSTRAINT DESCRIPTION="${this.escapeXML(CONSTRAINT_DESCRIPTIONS[stereotype])}" STEREOTYPE="${stereotype}"/>\n`;
+    }
+
+    // Locale given as en, en-US or en_US
+    generateLocaleXML(locale) {
+        const [language, country] = locale.split(/[-_]/);
+        const countryAttribute = country ? `COUNTRY_CODE="${country.toUpperCase()}" ` : '';
+        return `    <LOCALE ${countryAttribute}LANGUAGE_CODE="${language}"/>\n`;
+    }
+
+    generateLanguageXML(code) {
+        return `    <LANGUAGE LANG_ID="${code}"/>\n`;
+    }
+
+    // Distinct language codes of the given tiers, in tier order
+    collectLanguages(tiers) {
+        return Array.from(new Set(tiers.map(tier => this.resolveTierMetadata(tier).language).filter(Boolean)));
+    }
+
+    // One TIER element; assigns annotation IDs as it goes. Parent tiers must be
+    // written before their dependents so REF_ANNOTATIONs can find their target
+    generateTierXML(tier, typeIds = {}) {
+        return Array.from(this.generateTierXMLChunks(tier, typeIds)).join('');
+    }
+
+    // generateTierXML in pieces: the opening tag, then one per annotation
+    *generateTierXMLChunks(tier, typeIds = {}) {
+        const type = tier.linguisticType || 'default-lt';
+        const { participant, language, annotator } = this.resolveTierMetadata(tier);
+        let xml = '    <TIER ';
+        if (annotator) {
+            xml += `ANNOTATOR="${this.escapeXML(annotator)}" `;
+        }
+        if (language) {
+            xml += `LANG_REF="${language}" `;
+        }
+        xml += `LINGUISTIC_TYPE_REF="${this.escapeXML(typeIds[type] || type)}" `;
+        if (tier.parentRef) {
+            xml += `PARENT_REF="${this.escapeXML(tier.parentRef)}" `;
+        }
+        const participantName = participant || this.defaultParticipant(tier);
+        xml += `TIER_ID="${this.escapeXML(tier.name)}"`;
+        if (participantName) {
+            xml += ` PARTICIPANT="${this.escapeXML(participantName)}"`;
+        }
+        xml += '>\n';
+        yield xml;
+
+        for (const subtitle of tier.subtitles) {
+            const annotationId = `a${this.annotationId++}`;
+            this.annotationIds.set(subtitle, annotationId);
+
+            xml = `        <ANNOTATION>\n`;
+            if (subtitle.parent) {
+                xml += `            <REF_ANNOTATION ANNOTATION_ID="${annotationId}" `;
+                xml += `ANNOTATION_REF="${this.annotationIds.get(subtitle.parent)}">\n`;
+                xml += `                <ANNOTATION_VALUE>${this.escapeXML(subtitle.text)}</ANNOTATION_VALUE>\n`;
+                xml += `            </REF_ANNOTATION>\n`;
+            } else {
+                const startSlotId = this.allTimeSlots.get(subtitle.startTime);
+                const endSlotId = this.allTimeSlots.get(subtitle.endTime);
+
+                xml += `            <ALIGNABLE_ANNOTATION ANNOTATION_ID="${annotationId}" `;
+                xml += `TIME_SLOT_REF1="${startSlotId}" TIME_SLOT_REF2="${endSlotId}">\n`;
+                xml += `                <ANNOTATION_VALUE>${this.escapeXML(subtitle.text)}</ANNOTATION_VALUE>\n`;
+                xml += `            </ALIGNABLE_ANNOTATION>\n`;
+            }
+            xml += `        </ANNOTATION>\n`;
+            yield xml;
+        }
+
+        yield '    </TIER>\n';
+    }
+
+    // Take a document to append to, and seed ID counters and tier names from it
+    // so new time slots, annotations and tiers cannot collide with existing ones
+    prepareMergeContent(content, filename = 'unknown') {
+        content = content.replace(/^\uFEFF/, '');
+        const document = this.parseXML(content);
+        const root = document.children.find(node => node.name === 'ANNOTATION_DOCUMENT');
+        if (!root) {
+            throw new Error(`Not an ELAN annotation document: ${filename}`);
+        }
+        if (!root.children.some(node => node.name === 'TIME_ORDER')) {
+            throw new Error(`Missing TIME_ORDER in ${filename}`);
+        }
+
+        const maxNumericId = (ids, prefix) => ids.reduce((max, id) => {
+            const match = new RegExp(`^${prefix}(\\d+)$`).exec(id || '');
+            return match ? Math.max(max, Number(match[1])) : max;
+        }, 0);
+
+        const header = root.children.find(node => node.name === 'HEADER');
+        const headerNodes = header ? header.children : [];
+        const lastUsedProperty = headerNodes.find(node => node.name === 'PROPERTY' && node.attributes.NAME === 'lastUsedAnnotationId');
+        const lastUsedAnnotationId = lastUsedProperty ? parseInt(lastUsedProperty.text) || 0 : 0;
+
+        const timeSlotIds = root.children
+            .filter(node => node.name === 'TIME_ORDER')
+            .flatMap(node => node.children.map(slot => slot.attributes.TIME_SLOT_ID));
+        const tierNodes = root.children.filter(node => node.name === 'TIER');
+        const annotationIds = tierNodes
+            .flatMap(tier => tier.children)
+            .flatMap(wrapper => wrapper.children)
+            .map(annotation => annotation.attributes.ANNOTATION_ID);
+
+        this.timeSlotId = maxNumericId(timeSlotIds, 'ts') + 1;
+        this.annotationId = Math.max(lastUsedAnnotationId, maxNumericId(annotationIds, 'a')) + 1;
+        this.reservedTierNames = new Set(tierNodes.map(tier => tier.attributes.TIER_ID));
+
+        return {
+            path: filename,
+            content,
+            linguisticTypes: root.children
+                .filter(node => node.name === 'LINGUISTIC_TYPE')
+                .map(node => node.attributes),
+            constraints: root.children
+                .filter(node => node.name === 'CONSTRAINT')
+                .map(node => node.attributes.STEREOTYPE),
+            languages: root.children
+                .filter(node => node.name === 'LANGUAGE')
+                .map(node => node.attributes.LANG_ID),
+            mediaUrls: headerNodes
+                .filter(node => node.name === 'MEDIA_DESCRIPTOR')
+                .map(node => node.attributes.MEDIA_URL)
+        };
+    }
+
+    // Splice new time slots, tiers and (if needed) a linguistic type into the
+    // original text, so everything already in the document is kept byte for byte
+    mergeIntoELAN(target, tiers, options = {}) {
+        const { mediaFile = null } = options;
+        const xml = target.content;
+        const edits = [];
+        this.applyTextRules(tiers);
+        this.snapBoundaries(tiers);
+        tiers = this.addFormatTiers(tiers);
+
+        // Last match end of an element, self-closing or not
+        const lastElementEnd = (name) => {
+            const regex = new RegExp(`<${name}\\b[^>]*?/>|</${name}>`, 'g');
+            let end = -1;
+            let match;
+            while ((match = regex.exec(xml)) !== null) {
+                end = match.index + match[0].length;
+            }
+            return end;
+        };
+        // Insert on its own line(s) after position, or before a closing tag's line
+        const insertAfter = (index, text) => {
+            const newline = /^\r?\n/.exec(xml.slice(index));
+            edits.push(newline
+                ? { start: index + newline[0].length, end: index + newline[0].length, text }
+                : { start: index, end: index, text: `\n${text}` });
+        };
+        const insertBefore = (index, text) => {
+            const lineStart = xml.lastIndexOf('\n', index - 1) + 1;
+            const start = xml.slice(lineStart, index).trim() === '' ? lineStart : index;
+            edits.push({ start, end: start, text });
+        };
+
+        for (const tier of tiers) {
+            this.addTimeSlots(tier.subtitles);
+        }
+
+        // Reuse an existing linguistic type only if it has the same alignment
+        // and constraint; otherwise write ours under a fresh ID
+        const typeIds = {};
+        const newTypes = [];
+        for (const type of new Set(tiers.map(tier => tier.linguisticType || 'default-lt'))) {
+            const { timeAlignable, constraint } = this.linguisticTypes[type];
+            const isCompatible = attributes => attributes.TIME_ALIGNABLE === String(timeAlignable)
+                && (attributes.CONSTRAINTS || null) === constraint;
+            let typeId = type;
+            let counter = 1;
+            while (target.linguisticTypes.some(attributes => attributes.LINGUISTIC_TYPE_ID === typeId && !isCompatible(attributes))) {
+                typeId = `${type}-${counter++}`;
+            }
+            typeIds[type] = typeId;
+            if (!target.linguisticTypes.some(attributes => attributes.LINGUISTIC_TYPE_ID === typeId)) {
+                newTypes.push({ typeId, type });
+            }
+        }
+        const newConstraints = new Set(newTypes
+            .map(({ type }) => this.linguisticTypes[type].constraint)
+            .filter(stereotype => stereotype && !target.constraints.includes(stereotype)));
+
+        const sortedTimeSlots = Array.from(this.allTimeSlots.entries())
+            .sort(([timeA], [timeB]) => timeA - timeB);
+        const tierXML = tiers.map(tier => this.generateTierXML(tier, typeIds)).join('');
+
+        // Header: media descriptors and lastUsedAnnotationId
+        const newMedia = [].concat(mediaFile || [])
+            .filter(media => !target.mediaUrls.includes(this.describeMediaFile(media).url));
+        if (newMedia.length > 0) {
+            const mediaXML = newMedia.map(media => this.generateMediaDescriptorXML(media)).join('');
+            const mediaEnd = lastElementEnd('MEDIA_DESCRIPTOR');
+            const headerOpen = /<HEADER\b[^>]*?>/.exec(xml);
+            if (mediaEnd !== -1) {
+                insertAfter(mediaEnd, mediaXML);
+            } else if (headerOpen && !headerOpen[0].endsWith('/>')) {
+                insertAfter(headerOpen.index + headerOpen[0].length, mediaXML);
+            }
+        }
+
+        const lastUsed = /(<PROPERTY\s+NAME="lastUsedAnnotationId"\s*>)[^<]*(<\/PROPERTY>)/.exec(xml);
+        if (lastUsed) {
+            edits.push({
+                start: lastUsed.index,
+                end: lastUsed.index + lastUsed[0].length,
+                text: `${lastUsed[1]}${this.annotationId - 1}${lastUsed[2]}`
+            });
+        } else if (xml.includes('</HEADER>')) {
+            insertBefore(xml.indexOf('</HEADER>'), `        <PROPERTY NAME="lastUsedAnnotationId">${this.annotationId - 1}</PROPERTY>\n`);
+        }
+
+        // Time order
+        const emptyTimeOrder = /<TIME_ORDER\s*\/>/.exec(xml);
+        if (emptyTimeOrder) {
+            edits.push({
+                start: emptyTimeOrder.index,
+                end: emptyTimeOrder.index + emptyTimeOrder[0].length,
+                text: `<TIME_ORDER>\n${this.generateTimeSlotXML(sortedTimeSlots)}    </TIME_ORDER>`
+            });
+        } else {
+            insertBefore(xml.indexOf('</TIME_ORDER>'), this.generateTimeSlotXML(sortedTimeSlots));
+        }
+
+        // Tiers after the existing ones, then the linguistic types, languages and
+        // constraints they use, each after the last element of its kind
+        const tierEnd = Math.max(lastElementEnd('TIER'), lastElementEnd('TIME_ORDER'));
+        insertAfter(tierEnd, tierXML);
+
+        if (newTypes.length > 0) {
+            const typeXML = newTypes.map(({ typeId, type }) => this.generateLinguisticTypeXML(typeId, type)).join('');
+            insertAfter(Math.max(tierEnd, lastElementEnd('LINGUISTIC_TYPE')), typeXML);
+        }
+
+        const newLanguages = this.collectLanguages(tiers).filter(language => !target.languages.includes(language));
+        if (newLanguages.length > 0) {
+            const languageXML = newLanguages.map(language => this.generateLanguageXML(language)).join('');
+            const precedingEnd = Math.max(tierEnd, ...['LINGUISTIC_TYPE', 'LOCALE', 'LANGUAGE'].map(lastElementEnd));
+            insertAfter(precedingEnd, languageXML);
+        }
+
+        if (newConstraints.size > 0) {
+            const constraintXML = Array.from(newConstraints, stereotype => this.generateConstraintXML(stereotype)).join('');
+            const precedingEnd = Math.max(tierEnd, ...['LINGUISTIC_TYPE', 'LOCALE', 'LANGUAGE', 'CONSTRAINT'].map(lastElementEnd));
+            insertAfter(precedingEnd, constraintXML);
+        }
+
+        // Apply from the end so earlier offsets stay valid (stable for equal offsets)
+        return edits
+            .map((edit, order) => ({ ...edit, order }))
+            .sort((a, b) => b.start - a.start || b.order - a.order)
+            .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), xml);
+    }
+
+    // Praat TextGrid (long text format). Intervals must cover the whole tier,
+    // so gaps between annotations become empty intervals
+    generateTextGrid(tiers) {
+        const formatTime = (time) => String(time / 1000);
+        const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+        const xmax = tiers.reduce((max, tier) => tier.subtitles.reduce((tierMax, s) => Math.max(tierMax, s.endTime), max), 0);
+
+        let grid = 'File type = "ooTextFile"\n';
+        grid += 'Object class = "TextGrid"\n\n';
+        grid += 'xmin = 0 \n';
+        grid += `xmax = ${formatTime(xmax)} \n`;
+        grid += 'tiers? <exists> \n';
+        grid += `size = ${tiers.length} \n`;
+        grid += 'item []: \n';
+
+        tiers.forEach((tier, tierIndex) => {
+            const intervals = [];
+            let cursor = 0;
+
+            for (const subtitle of tier.subtitles) {
+                // Overlapping annotations cannot share an interval tier; trim the later one
+                const startTime = Math.max(subtitle.startTime, cursor);
+                if (startTime >= subtitle.endTime) {
+                    console.error(`Tier ${tier.name}: skipped overlapping annotation at ${subtitle.startTime}ms`);
+                    continue;
+                }
+                if (startTime > subtitle.startTime) {
+                    console.error(`Tier ${tier.name}: trimmed overlapping annotation at ${subtitle.startTime}ms`);
+                }
+                if (startTime > cursor) {
+                    intervals.push({ startTime: cursor, endTime: startTime, text: '' });
+                }
+                intervals.push({ startTime, endTime: subtitle.endTime, text: subtitle.text });
+                cursor = subtitle.endTime;
+            }
+            if (cursor < xmax) {
+                intervals.push({ startTime: cursor, endTime: xmax, text: '' });
+            }
+
+            grid += `    item [${tierIndex + 1}]:\n`;
+            grid += '        class = "IntervalTier" \n';
+            grid += `        name = ${quote(tier.name)} \n`;
+            grid += '        xmin = 0 \n';
+            grid += `        xmax = ${formatTime(xmax)} \n`;
+            grid += `        intervals: size = ${intervals.length} \n`;
+            intervals.forEach((interval, intervalIndex) => {
+                grid += `        intervals [${intervalIndex + 1}]:\n`;
+                grid += `            xmin = ${formatTime(interval.startTime)} \n`;
+                grid += `            xmax = ${formatTime(interval.endTime)} \n`;
+                grid += `            text = ${quote(interval.text)} \n`;
+            });
+        });
+
+        return grid;
+    }
+
+    // CLAN CHAT: every top-level tier is a speaker. Utterances are written in
+    // time order with a time bullet; dependent tiers follow as %eng (English
+    // translations), %x<language> (other translations) or %x<tier name> lines
+    generateCHAT(tiers, options = {}) {
+        const { mediaFile = null } = options;
+        const topTiers = tiers.filter(tier => !tier.parentRef);
+        const letters = text => text.normalize('NFD').replace(/[^A-Za-z0-9]/g, '');
+
+        const speakers = new Map();
+        const codes = new Set();
+        for (const tier of topTiers) {
+            const { participant, language } = this.resolveTierMetadata(tier);
+            const name = (participant || tier.displayName).trim().replace(/\s+/g, '_');
+            const stem = letters(name).toUpperCase().slice(0, 3).padEnd(3, 'X');
+            let code = stem;
+            for (let counter = 1; codes.has(code); counter++) {
+                code = `${stem}${counter}`;
+            }
+            codes.add(code);
+            speakers.set(tier, { code, name, language: language || 'und' });
+        }
+
+        // Dependent lines by the parent annotation they belong to
+        const dependents = new Map();
+        for (const tier of tiers.filter(tier => tier.parentRef)) {
+            const parentTier = tiers.find(other => other.name === tier.parentRef);
+            // Without a language set for it, a translation has the one its file name gives
+            const language = this.resolveTierMetadata(tier).language || tier.suffixLanguage;
+            let label = `x${letters(tier.displayName).toLowerCase()}`;
+            if (tier.linguisticType === 'translation' && language) {
+                label = language === 'eng' ? 'eng' : `x${language}`;
+            }
+            for (const subtitle of tier.subtitles) {
+                // Time-aligned dependents go with the annotation that contains them
+                const parent = subtitle.parent || (parentTier && parentTier.subtitles.find(candidate =>
+                    candidate.startTime <= subtitle.startTime && subtitle.endTime <= candidate.endTime));
+                if (parent && subtitle.text.trim()) {
+                    dependents.set(parent, [...(dependents.get(parent) || []), `%${label}:\t${subtitle.text.trim().replace(/\s+/g, ' ')}`]);
+                }
+            }
+        }
+
+        const languages = Array.from(new Set(Array.from(speakers.values(), speaker => speaker.language)));
+        let chat = '@UTF8\n@Begin\n';
+        chat += `@Languages:\t${(languages.length > 0 ? languages : ['und']).join(', ')}\n`;
+        chat += `@Participants:\t${Array.from(speakers.values(), ({ code, name }) => `${code} ${name} Unidentified`).join(', ')}\n`;
+        for (const { code, language } of speakers.values()) {
+            chat += `@ID:\t${language}|subtitles|${code}|||||Unidentified|||\n`;
+        }
+        const media = [].concat(mediaFile || []);
+        if (media.length > 0) {
+            const { url, mimeType } = this.describeMediaFile(media[0]);
+            const name = path.basename(decodeURI(url), path.extname(url));
+            chat += `@Media:\t${name}, ${mimeType.startsWith('audio/') ? 'audio' : 'video'}\n`;
+        }
+
+        const utterances = topTiers
+            .flatMap(tier => tier.subtitles.filter(subtitle => subtitle.text.trim()).map(subtitle => ({ tier, subtitle })))
+            .sort((a, b) => a.subtitle.startTime - b.subtitle.startTime);
+        for (const { tier, subtitle } of utterances) {
+            // Every utterance needs a terminator
+            let text = subtitle.text.trim().replace(/\s+/g, ' ');
+            if (!/[.?!]$/.test(text)) {
+                text += ' .';
+            }
+            chat += `*${speakers.get(tier).code}:\t${text} \u0015${subtitle.startTime}_${subtitle.endTime}\u0015\n`;
+            for (const line of dependents.get(subtitle) || []) {
+                chat += `${line}\n`;
+            }
+        }
+
+        chat += '@End\n';
+        return chat;
+    }
+
+    // Tab-delimited text as ELAN exports it for spreadsheets: a header row,
+    // then one row per annotation, tier by tier
+    generateTabDelimited(tiers) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        const clock = time => `${pad(Math.floor(time / 3600000), 2)}:${pad(Math.floor(time / 60000) % 60, 2)}:`
+            + `${pad(Math.floor(time / 1000) % 60, 2)}.${pad(time % 1000, 3)}`;
+        const rows = [['Tier', 'Participant', 'Begin Time - hh:mm:ss.ms', 'Begin Time - msec',
+            'End Time - hh:mm:ss.ms', 'End Time - msec', 'Duration - msec', 'Annotation']];
+
+        for (const tier of tiers) {
+            const { participant } = this.resolveTierMetadata(tier);
+            for (const subtitle of tier.subtitles) {
+                const startTime = Math.round(subtitle.startTime);
+                const endTime = Math.round(subtitle.endTime);
+                rows.push([tier.name, participant || this.defaultParticipant(tier) || '', clock(startTime), startTime,
+                    clock(endTime), endTime, endTime - startTime, subtitle.text]);
+            }
+        }
+
+        // Tabs and line breaks inside a field would start a new column or row
+        return rows.map(row => row.map(field => String(field).replace(/[\t\r\n]+/g, ' ')).join('\t')).join('\n') + '\n';
+    }
+
+    // The tier model as plain JSON (for web viewers): media, then every tier with
+    // its metadata and annotations. A dependent annotation names the position
+    // of its parent annotation in the parent tier
+    generateJSON(tiers, options = {}) {
+        const { mediaFile = null } = options;
+        const positions = new Map();
+        const document = {
+            media: [].concat(mediaFile || []).map(media => {
+                const { url, relativeUrl, mimeType } = this.describeMediaFile(media);
+                return { url, relativeUrl, mimeType };
+            }),
+            tiers: tiers.map(tier => {
+                const { participant, language, annotator } = this.resolveTierMetadata(tier);
+                return {
+                    id: tier.name,
+                    participant: participant || this.defaultParticipant(tier),
+                    language,
+                    annotator,
+                    type: tier.linguisticType || 'default-lt',
+                    parent: tier.parentRef || null,
+                    source: tier.sourceFile ? path.basename(tier.sourceFile) : null,
+                    annotations: tier.subtitles.map((subtitle, position) => {
+                        positions.set(subtitle, position);
+                        const annotation = { start: subtitle.startTime, end: subtitle.endTime, text: subtitle.text };
+                        if (subtitle.parent) {
+                            annotation.parent = positions.has(subtitle.parent) ? positions.get(subtitle.parent) : null;
+                        }
+                        if (Number.isInteger(subtitle.index)) {
+                            annotation.index = subtitle.index;
+                        }
+                        for (const key of ['speaker', 'style', 'markup']) {
+                            if (subtitle[key] !== undefined) {
+                                annotation[key] = subtitle[key];
+                            }
+                        }
+                        return annotation;
+                    })
+                };
+            })
+        };
+        return JSON.stringify(document, null, 2) + '\n';
+    }
+
+    // Render tiers in the requested output format
+    generateOutput(tiers, format = 'eaf', options = {}) {
+        return Array.from(this.generateOutputChunks(tiers, format, options)).join('');
+    }
+
+    // The output as a sequence of strings, produced while it is consumed. The
+    // converter's state must not change (resetState, another document) until
+    // the last piece has been taken
+    generateOutputChunks(tiers, format = 'eaf', options = {}) {
+        const writer = OUTPUT_WRITERS[format];
+        if (!writer) {
+            throw new Error(`Unknown output format: ${format} (expected: ${Object.keys(OUTPUT_WRITERS).join(', ')})`);
+        }
+        this.applyTextRules(tiers);
+        this.snapBoundaries(tiers);
+        return writer.chunks ? writer.chunks(this, tiers, options) : [writer.write(this, tiers, options)];
+    }
+
+    // Helper method to determine media type
+    getMediaType(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return MEDIA_TYPES[ext] || 'unknown';
+    }
+
+    // Media duration in milliseconds from the container header of a WAV,
+    // MP4/QuickTime or MP3 file, or null if it cannot be told. read(offset,
+    // length) returns the bytes at offset (fewer at the end of the file), so
+    // only the headers are ever read
+    parseMediaDuration(read, size) {
+        const head = read(0, 12);
+        if (head.length < 12) {
+            return null;
+        }
+        if (fourCC(head, 0) === 'RIFF' && fourCC(head, 8) === 'WAVE') {
+            return this.parseWAVDuration(read, size);
+        }
+        if (['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide'].includes(fourCC(head, 4))) {
+            return this.parseMP4Duration(read, size);
+        }
+        if (fourCC(head, 0).startsWith('ID3') || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0)) {
+            return this.parseMP3Duration(read, size);
+        }
+        return null;
+    }
+
+    // WAV: size of the data chunk divided by the byte rate from the fmt chunk
+    parseWAVDuration(read, size) {
+        let byteRate = 0;
+        let offset = 12;
+        while (offset + 8 <= size) {
+            const header = read(offset, 8);
+            const length = dataView(header).getUint32(4, true);
+            const id = fourCC(header, 0);
+            if (id === 'fmt ') {
+                const format = read(offset + 8, 16);
+                byteRate = format.length === 16 ? dataView(format).getUint32(8, true) : 0;
+            } else if (id === 'data') {
+                // Recorders that were stopped early leave the size unset
+                const available = size - offset - 8;
+                const dataSize = length === 0 || length === 0xFFFFFFFF ? available : Math.min(length, available);
+                return byteRate > 0 ? Math.round(dataSize / byteRate * 1000) : null;
+            }
+            // Chunks are padded to an even length
+            offset += 8 + length + (length % 2);
+        }
+        return null;
+    }
+
+    // MP4, MOV and M4A: duration and time scale from the movie header (mvhd)
+    // inside moov, which may come before or after the media data
+    parseMP4Duration(read, size) {
+        const box = (offset, end) => {
+            const header = read(offset, 16);
+            if (header.length < 8) {
+                return null;
+            }
+            const view = dataView(header);
+            let length = view.getUint32(0);
+            let contents = offset + 8;
+            if (length === 1 && header.length === 16) {
+                length = Number(view.getBigUint64(8));
+                contents += 8;
+            } else if (length === 0) {
+                length = end - offset;
+            }
+            return length >= contents - offset ? { type: fourCC(header, 4), contents, end: offset + length } : null;
+        };
+        const find = (type, start, end) => {
+            let offset = start;
+            while (offset + 8 <= end) {
+                const found = box(offset, end);
+                if (!found || found.type === type) {
+                    return found;
+                }
+                offset = found.end;
+            }
+            return null;
+        };
+
+        const moov = find('moov', 0, size);
+        const mvhd = moov && find('mvhd', moov.contents, moov.end);
+        if (!mvhd) {
+            return null;
+        }
+        const header = read(mvhd.contents, 32);
+        const version = header[0];
+        if (header.length < (version === 1 ? 32 : 20)) {
+            return null;
+        }
+        const view = dataView(header);
+        const timescale = view.getUint32(version === 1 ? 20 : 12);
+        const duration = version === 1 ? Number(view.getBigUint64(24)) : view.getUint32(16);
+        return timescale > 0 ? Math.round(duration / timescale * 1000) : null;
+    }
+
+    // MP3: frame count from a Xing/Info or VBRI header if there is one,
+    // otherwise the audio size at the first frame's (constant) bitrate
+    parseMP3Duration(read, size) {
+        let start = 0;
+        const id3 = read(0, 10);
+        if (fourCC(id3, 0).startsWith('ID3')) {
+            // Syncsafe size (7 bits per byte), plus a footer if flagged
+            start = 10 + ((id3[6] & 0x7F) << 21 | (id3[7] & 0x7F) << 14 | (id3[8] & 0x7F) << 7 | (id3[9] & 0x7F));
+            start += id3[5] & 0x10 ? 10 : 0;
+        }
+
+        const bytes = read(start, 4096);
+        for (let i = 0; i + 4 <= bytes.length; i++) {
+            if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) {
+                continue;
+            }
+            const version = (bytes[i + 1] >> 3) & 3;
+            const layer = 4 - ((bytes[i + 1] >> 1) & 3);
+            const bitrateIndex = bytes[i + 2] >> 4;
+            const rateIndex = (bytes[i + 2] >> 2) & 3;
+            if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+                continue;
+            }
+
+            const mpeg1 = version === 3;
+            const mono = (bytes[i + 3] >> 6) === 3;
+            const bitrate = MPEG_BITRATES[mpeg1 ? 1 : 2][layer][bitrateIndex];
+            const sampleRate = MPEG_SAMPLE_RATES[version][rateIndex];
+            const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && !mpeg1 ? 576 : 1152);
+            const frameStart = start + i;
+
+            // Xing/Info sits after the side information, VBRI at a fixed offset
+            const sideInfo = mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+            const xing = read(frameStart + 4 + sideInfo, 12);
+            if (xing.length === 12 && ['Xing', 'Info'].includes(fourCC(xing, 0)) && (xing[7] & 1)) {
+                return Math.round(dataView(xing).getUint32(8) * samplesPerFrame / sampleRate * 1000);
+            }
+            const vbri = read(frameStart + 36, 18);
+            if (vbri.length === 18 && fourCC(vbri, 0) === 'VBRI') {
+                return Math.round(dataView(vbri).getUint32(14) * samplesPerFrame / sampleRate * 1000);
+            }
+
+            // An ID3v1 tag takes the last 128 bytes
+            const id3v1 = size >= 128 && fourCC(read(size - 128, 3), 0) === 'TAG' ? 128 : 0;
+            return Math.round((size - frameStart - id3v1) * 8 / bitrate);
+        }
+        return null;
+    }
+
+    // Enhanced XML escaping
+    escapeXML(text) {
+        if (typeof text !== 'string') {
+            return String(text);
+        }
+        
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
+    }
+
+    // Inverse of escapeXML, including numeric character references
+    unescapeXML(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+            const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+            if (named[code]) {
+                return named[code];
+            }
+            const codePoint = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        });
+    }
+
+    // Minimal XML reader: enough for ELAN documents (elements, attributes, text, CDATA)
+    parseXML(xml) {
+        const root = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const tokenRegex = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        const attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let position = 0;
+        let match;
+
+        while ((match = tokenRegex.exec(xml)) !== null) {
+            if (match.index !== position) {
+                throw new Error(`Malformed XML near offset ${position}`);
+            }
+            position = tokenRegex.lastIndex;
+
+            const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+            const current = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (text !== undefined) {
+                current.text += this.unescapeXML(text);
+            } else if (name && closing) {
+                if (current.name !== name) {
+                    throw new Error(`Malformed XML: unexpected </${name}> near offset ${match.index}`);
+                }
+                stack.pop();
+            } else if (name) {
+                const node = { name, attributes: {}, children: [], text: '' };
+                let attribute;
+                while ((attribute = attributeRegex.exec(attributeText)) !== null) {
+                    const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+                    node.attributes[attribute[1]] = this.unescapeXML(value);
+                }
+                current.children.push(node);
+                if (!selfClosing) {
+                    stack.push(node);
+                }
+            }
+        }
+
+        if (position !== xml.length) {
+            throw new Error(`Malformed XML near offset ${position}`);
+        }
+        if (stack.length > 1) {
+            throw new Error(`Malformed XML: unclosed <${stack[stack.length - 1].name}>`);
+        }
+
+        return root;
+    }
+
+    // Read an ELAN document into tiers of subtitle objects (same shape as parseSRT output)
+    parseEAF(content, filename = 'unknown') {
+        if (!content || typeof content !== 'string') {
+            throw new Error(`Empty or invalid content in file: ${filename}`);
+        }
+
+        const document = this.parseXML(content.replace(/^\uFEFF/, ''));
+        const root = document.children.find(node => node.name === 'ANNOTATION_DOCUMENT');
+        if (!root) {
+            throw new Error(`Not an ELAN annotation document: ${filename}`);
+        }
+
+        const errors = [];
+        const timeSlots = new Map();
+        const timeOrder = root.children.find(node => node.name === 'TIME_ORDER');
+        for (const slot of timeOrder ? timeOrder.children : []) {
+            const value = slot.attributes.TIME_VALUE;
+            timeSlots.set(slot.attributes.TIME_SLOT_ID, value === undefined ? null : Number(value));
+        }
+        this.interpolateTimeSlots(timeSlots);
+
+        // Collect every annotation first: REF_ANNOTATIONs may point into any tier
+        const annotations = new Map();
+        const tiers = [];
+        for (const tierNode of root.children.filter(node => node.name === 'TIER')) {
+            const tier = {
+                name: tierNode.attributes.TIER_ID,
+                participant: tierNode.attributes.PARTICIPANT || '',
+                language: tierNode.attributes.LANG_REF || null,
+                annotator: tierNode.attributes.ANNOTATOR || null,
+                linguisticType: tierNode.attributes.LINGUISTIC_TYPE_REF || '',
+                parentRef: tierNode.attributes.PARENT_REF || null,
+                annotations: []
+            };
+
+            for (const wrapper of tierNode.children.filter(node => node.name === 'ANNOTATION')) {
+                for (const node of wrapper.children) {
+                    const valueNode = node.children.find(child => child.name === 'ANNOTATION_VALUE');
+                    const annotation = {
+                        id: node.attributes.ANNOTATION_ID,
+                        text: valueNode ? valueNode.text : ''
+                    };
+                    if (node.name === 'ALIGNABLE_ANNOTATION') {
+                        annotation.startSlot = node.attributes.TIME_SLOT_REF1;
+                        annotation.endSlot = node.attributes.TIME_SLOT_REF2;
+                    } else if (node.name === 'REF_ANNOTATION') {
+                        annotation.ref = node.attributes.ANNOTATION_REF;
+                    } else {
+                        continue;
+                    }
+                    annotations.set(annotation.id, annotation);
+                    tier.annotations.push(annotation);
+                }
+            }
+
+            tiers.push(tier);
+        }
+
+        // Resolve times: alignable annotations from their slots, ref annotations from their parent
+        const resolveTimes = (annotation, seen = new Set()) => {
+            if (annotation.ref === undefined) {
+                const startTime = timeSlots.get(annotation.startSlot);
+                const endTime = timeSlots.get(annotation.endSlot);
+                return startTime == null || endTime == null ? null : { startTime, endTime };
+            }
+            const parent = annotations.get(annotation.ref);
+            if (!parent || seen.has(annotation.id)) {
+                return null;
+            }
+            seen.add(annotation.id);
+            return resolveTimes(parent, seen);
+        };
+
+        for (const tier of tiers) {
+            tier.subtitles = [];
+            for (const annotation of tier.annotations) {
+                const times = resolveTimes(annotation);
+                if (!times) {
+                    errors.push(`Tier ${tier.name}: annotation ${annotation.id} has no resolvable time alignment`);
+                    continue;
+                }
+                const subtitle = {
+                    index: tier.subtitles.length + 1,
+                    startTime: times.startTime,
+                    endTime: times.endTime,
+                    text: annotation.text,
+                    duration: times.endTime - times.startTime,
+                    id: annotation.id
+                };
+                if (annotation.ref !== undefined) {
+                    subtitle.ref = annotation.ref;
+                }
+                tier.subtitles.push(subtitle);
+            }
+            tier.subtitles.sort((a, b) => a.startTime - b.startTime);
+            delete tier.annotations;
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        return { timeSlots, tiers };
+    }
+
+    // Slots without a TIME_VALUE (routine on Time_Subdivision and Included_In
+    // tiers) get times spread evenly between the aligned slots before and
+    // after them in TIME_ORDER, as ELAN shows them. Slots before the first or
+    // after the last aligned one take its time. Changes the map in place
+    interpolateTimeSlots(timeSlots) {
+        const ids = Array.from(timeSlots.keys());
+        let previous = -1;
+        for (let i = 0; i <= ids.length; i++) {
+            if (i < ids.length && timeSlots.get(ids[i]) === null) {
+                continue;
+            }
+            const from = previous >= 0 ? timeSlots.get(ids[previous]) : null;
+            const to = i < ids.length ? timeSlots.get(ids[i]) : null;
+            const steps = i - previous;
+            for (let k = previous + 1; k < i; k++) {
+                if (from === null || to === null) {
+                    timeSlots.set(ids[k], from === null ? to : from);
+                } else {
+                    timeSlots.set(ids[k], Math.round(from + (to - from) * (k - previous) / steps));
+                }
+            }
+            previous = i;
+        }
+    }
+
+    // Write subtitle objects as SRT, using the timestamp format parseTimestamp accepts.
+    // Original cue numbers (srtIndex) are kept when every cue has one, in order
+    generateSRT(subtitles, filename = 'unknown') {
+        const blocks = this.generateSRTBlocks(subtitles, filename);
+        return blocks.length > 0 ? blocks.join('\n\n') + '\n' : '';
+    }
+
+    // The blocks of generateSRT, one per annotation that could be written
+    generateSRTBlocks(subtitles, filename = 'unknown') {
+        const blocks = [];
+        const errors = [];
+        const keepIndices = subtitles.every((subtitle, i) => Number.isInteger(subtitle.srtIndex)
+            && (i === 0 || subtitle.srtIndex > subtitles[i - 1].srtIndex));
+
+        for (const subtitle of subtitles) {
+            if (subtitle.startTime >= subtitle.endTime) {
+                errors.push(`Skipped zero-length annotation at ${subtitle.startTime}ms`);
+                continue;
+            }
+
+            try {
+                const timeRange = `${this.formatTimestamp(subtitle.startTime)} --> ${this.formatTimestamp(subtitle.endTime)}`;
+                // Blank lines would end the SRT block early
+                const text = subtitle.text.replace(/\r/g, '').replace(/\n\s*\n/g, '\n').trim();
+                blocks.push(`${keepIndices ? subtitle.srtIndex : blocks.length + 1}\n${timeRange}\n${text}`.trim());
+            } catch (error) {
+                errors.push(`Skipped annotation at ${subtitle.startTime}ms: ${error.message}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            console.error(`Errors in ${filename}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+        }
+
+        return blocks;
+    }
+}
+
+// Stateless entry point: a fresh converter for every call, so nothing carries
+// over between documents. Inputs are { name, content } objects with a string,
+// Buffer or Uint8Array as content
+function convert(inputs, options = {}) {
+    return new ELANConverterCore(options).convertInputs(inputs, options);
+}
+
+const exported = { ELANConverterCore, convert, SUBTITLE_EXTENSIONS, OUTPUT_WRITERS, MEDIA_TYPES, LANGUAGE_SUFFIX };
+
+// CommonJS for Node and bundlers, a global when loaded with a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exported;
+} else {
+    globalThis.SRT2EAF = exported;
+}
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { ELANConverterCore, convert, SUBTITLE_EXTENSIONS } = require('./srt2eaf-core');
+
+// --serve: a local web page for converting dropped subtitle files. The page
+// (srt2eaf-ui.html) has no external assets and the server only listens on the
+// loopback interface, so everything works offline
+
+// Largest request accepted: the dropped files, base64-encoded, in one JSON body
+const MAX_REQUEST_SIZE = 256 * 1024 * 1024;
+
+// Host headers the server answers to. Anything else is a page on another
+// site reaching the server through DNS rebinding
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class ConverterServer {
+    // options are the converter options every conversion uses (--encoding,
+    // --lenient, --split-speakers, ...); the page sets tiers, author and mode
+    constructor(options = {}) {
+        this.options = options;
+        // The page checks the size before uploading
+        this.page = fs.readFileSync(path.join(__dirname, 'srt2eaf-ui.html'), 'utf8')
+            .replace('__MAX_REQUEST_SIZE__', String(MAX_REQUEST_SIZE));
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    // Start listening on localhost. Resolves to the page's URL
+    listen(port = 8080) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.server.off('error', reject);
+                resolve(`http://localhost:${this.server.address().port}/`);
+            });
+        });
+    }
+
+    close() {
+        this.server.close();
+    }
+
+    // GET / is the page; POST /preview and POST /convert take the dropped files
+    async handle(request, response) {
+        try {
+            const host = (request.headers.host || '').replace(/:\d+$/, '');
+            if (!LOCAL_HOSTS.includes(host)) {
+                return this.sendError(response, 403, 'Only local requests are served');
+            }
+
+            const { pathname } = new URL(request.url, 'http://localhost');
+            if (request.method === 'GET' && pathname === '/') {
+                return this.send(response, 200, 'text/html; charset=utf-8', this.page);
+            }
+            if (request.method !== 'POST' || !['/preview', '/convert'].includes(pathname)) {
+                return this.sendError(response, 404, `Not found: ${request.method} ${pathname}`);
+            }
+            // A JSON body needs a CORS preflight, which this server never grants,
+            // so other sites open in the browser cannot post here
+            if (!/^application\/json\b/.test(request.headers['content-type'] || '')) {
+                return this.sendError(response, 415, 'Expected a JSON request');
+            }
+
+            if (Number(request.headers['content-length']) > MAX_REQUEST_SIZE) {
+                request.resume();
+                return this.sendError(response, 413, tooLarge());
+            }
+            const body = this.parseRequest(await this.readBody(request));
+            if (pathname === '/preview') {
+                return this.send(response, 200, 'application/json; charset=utf-8', JSON.stringify(this.preview(body)));
+            }
+
+            const { filename, contentType, content } = this.convertFiles(body);
+            return this.send(response, 200, contentType, content, {
+                'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+            });
+
+        } catch (error) {
+            return this.sendError(response, error.status || 400, error.message);
+        }
+    }
+
+    // The raw request body, refused once it grows past MAX_REQUEST_SIZE. The
+    // rest is read and dropped, so the client still gets the 413
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const collect = chunk => {
+                size += chunk.length;
+                if (size > MAX_REQUEST_SIZE) {
+                    request.off('data', collect);
+                    request.resume();
+                    chunks.length = 0;
+                    reject(Object.assign(new Error(tooLarge()), { status: 413 }));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            request.on('data', collect);
+            request.on('end', () => resolve(Buffer.concat(chunks)));
+            request.on('error', reject);
+        });
+    }
+
+    // { files: [{ name, content (base64), tierName, language }], mode, author, name }
+    // with the file contents decoded, so encoding detection sees the original bytes
+    parseRequest(body) {
+        let request;
+        try {
+            request = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!request || !Array.isArray(request.files) || request.files.length === 0) {
+            throw new Error('No files given');
+        }
+
+        const files = request.files.map((file, i) => {
+            if (!file || typeof file.name !== 'string' || typeof file.content !== 'string') {
+                throw new Error(`files[${i}]: expected a name and base64 content`);
+            }
+            const name = path.basename(file.name);
+            if (!SUBTITLE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+                throw new Error(`${name}: not a subtitle file (expected ${SUBTITLE_EXTENSIONS.join(', ')})`);
+            }
+            return {
+                name,
+                content: Buffer.from(file.content, 'base64'),
+                ...(isText(file.tierName) && { tierName: file.tierName.trim() }),
+                ...(isText(file.language) && { language: file.language.trim() })
+            };
+        });
+
+        return {
+            files,
+            mode: request.mode === 'separate' ? 'separate' : 'combined',
+            author: isText(request.author) ? request.author.trim() : null,
+            name: isText(request.name) ? request.name.trim() : 'subtitles'
+        };
+    }
+
+    // Each file parsed on its own: its tiers and cues, or why it failed, and its
+    // entry of the validation report (skipped blocks, overlaps, ...)
+    preview({ files }) {
+        return {
+            files: files.map(file => {
+                const converter = new ELANConverterCore(this.options);
+                let tiers = [];
+                let error = null;
+                try {
+                    tiers = converter.processInputFile(file.name, file.content, file);
+                } catch (caught) {
+                    error = caught.message;
+                }
+                const [report = {}] = converter.buildReport().files;
+
+                return {
+                    name: file.name,
+                    error: error || report.error || null,
+                    report,
+                    tiers: tiers.map(tier => ({
+                        name: tier.name,
+                        language: tier.language || null,
+                        cues: tier.subtitles.map(subtitle => ({
+                            index: subtitle.index,
+                            startTime: subtitle.startTime,
+                            endTime: subtitle.endTime,
+                            text: subtitle.text
+                        }))
+                    }))
+                };
+            })
+        };
+    }
+
+    // Combined mode: one EAF with a tier per file. Separate mode: a zip with
+    // one EAF per file, leaving out files without cues
+    convertFiles({ files, mode, author, name }) {
+        const options = { ...this.options, author, format: 'eaf' };
+
+        if (mode === 'combined') {
+            const { output } = convert(files, options);
+            return { filename: `${name}.eaf`, contentType: 'application/xml; charset=utf-8', content: output };
+        }
+
+        const entries = [];
+        const failed = [];
+        for (const file of files) {
+            try {
+                const { output } = convert([file], options);
+                const stem = path.basename(file.name, path.extname(file.name));
+                const used = new Set(entries.map(entry => entry.name));
+                let entryName = `${stem}.eaf`;
+                for (let n = 2; used.has(entryName); n++) {
+                    entryName = `${stem}_${n}.eaf`;
+                }
+                entries.push({ name: entryName, content: Buffer.from(output, 'utf8') });
+            } catch (error) {
+                failed.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (entries.length === 0) {
+            throw new Error(`No file could be converted (${failed.join('; ')})`);
+        }
+        failed.forEach(failure => console.error(`Warning: left out of ${name}.zip: ${failure}`));
+
+        return { filename: `${name}.zip`, contentType: 'application/zip', content: createZip(entries) };
+    }
+
+    send(response, status, contentType, content, headers = {}) {
+        response.writeHead(status, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(content),
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff',
+            ...headers
+        });
+        response.end(content);
+    }
+
+    // Refused uploads close the connection, so the client stops sending
+    sendError(response, status, message) {
+        if (response.headersSent) {
+            response.destroy();
+            return;
+        }
+        this.send(response, status, 'application/json; charset=utf-8', JSON.stringify({ error: message }),
+            status === 413 ? { 'Connection': 'close' } : {});
+    }
+}
+
+function tooLarge() {
+    return `Request larger than ${MAX_REQUEST_SIZE / 1024 / 1024} MB`;
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// CRC-32 lookup table for zip entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// A zip archive of { name, content } entries, deflated, with UTF-8 names
+function createZip(entries, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = zlib.deflateRawSync(entry.content);
+        // Fields shared by the local header and the central directory entry
+        const fields = Buffer.alloc(26);
+        fields.writeUInt16LE(20, 0);          // version needed: 2.0
+        fields.writeUInt16LE(0x0800, 2);      // flags: UTF-8 name
+        fields.writeUInt16LE(8, 4);           // method: deflate
+        fields.writeUInt16LE(dosTime, 6);
+        fields.writeUInt16LE(dosDate, 8);
+        fields.writeUInt32LE(crc32(entry.content), 10);
+        fields.writeUInt32LE(data.length, 14);
+        fields.writeUInt32LE(entry.content.length, 18);
+        fields.writeUInt16LE(name.length, 22);
+        fields.writeUInt16LE(0, 24);          // extra field length
+
+        const local = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), fields, name]);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);         // version made by
+        fields.copy(central, 6);
+        central.writeUInt32LE(offset, 42);    // comment, disk and attributes stay 0
+        directory.push(Buffer.concat([central, name]));
+
+        parts.push(local, data);
+        offset += local.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, centralDirectory, end]);
+}
+
+module.exports = { ConverterServer, createZip };
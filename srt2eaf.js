@@ -1,199 +1,110 @@
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const glob = require('glob');
+const { ELANConverterCore, SUBTITLE_EXTENSIONS, OUTPUT_WRITERS, MEDIA_TYPES, LANGUAGE_SUFFIX } = require('./srt2eaf-core');
+const { ConverterServer } = require('./srt2eaf-server');
+
+// Node front end: reads inputs from disk, writes results and runs the CLI.
+// Parsing and document generation live in srt2eaf-core.js
+class MultiSRTToELANConverter extends ELANConverterCore {
+    // Inputs given without content are read from disk, with the usual checks
+    readInputFile(filePath, content) {
+        if (content === undefined) {
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`File not found: ${filePath}`);
+            }
 
-class MultiSRTToELANConverter {
-    constructor(options = {}) {
-        this.allTimeSlots = new Map();
-        this.timeSlotId = 1;
-        this.annotationId = 1;
-        this.tiers = [];
-        this.options = {
-            encoding: 'utf8',
-            preserveFormatting: false,
-            strictValidation: true,
-            ...options
-        };
-    }
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile()) {
+                throw new Error(`Path is not a file: ${filePath}`);
+            }
 
-    // Enhanced timestamp parsing with validation
-    parseTimestamp(timestamp) {
-        if (!timestamp || typeof timestamp !== 'string') {
-            throw new Error(`Invalid timestamp format: ${timestamp}`);
+            content = fs.readFileSync(filePath);
         }
 
-        // Handle both 2-digit and 3-digit milliseconds
-        const timestampRegex = /^(\d{2}):(\d{2}):(\d{2}),(\d{2,3})$/;
-        const match = timestamp.trim().match(timestampRegex);
-        
-        if (!match) {
-            throw new Error(`Invalid timestamp format: ${timestamp}`);
-        }
+        return super.readInputFile(filePath, content);
+    }
 
-        let [, hours, minutes, seconds, milliseconds] = match.map(Number);
-        
-        // Convert 2-digit milliseconds to 3-digit (pad with 0)
-        if (match[4].length === 2) {
-            milliseconds *= 10;
-        }
-        
-        // Validate ranges
-        if (hours > 23 || minutes > 59 || seconds > 59 || milliseconds > 999) {
-            throw new Error(`Invalid timestamp values: ${timestamp}`);
+    // Read the document --into points at
+    prepareMerge(eafFilePath) {
+        if (!fs.existsSync(eafFilePath)) {
+            throw new Error(`File not found: ${eafFilePath}`);
         }
 
-        return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
+        return this.prepareMergeContent(fs.readFileSync(eafFilePath, 'utf8'), eafFilePath);
     }
 
-    // Enhanced SRT parsing with better error handling
-    parseSRT(content, filename = 'unknown') {
-        if (!content || typeof content !== 'string') {
-            throw new Error(`Empty or invalid content in file: ${filename}`);
+    // Write through a temporary file renamed into place, so programs reading
+    // the output (ELAN, or an editor reloading it) never see half of it
+    writeOutputFile(outputPath, content) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        const temporaryPath = this.temporaryPath(outputPath);
+        try {
+            fs.writeFileSync(temporaryPath, content, 'utf8');
+            fs.renameSync(temporaryPath, outputPath);
+        } catch (error) {
+            fs.rmSync(temporaryPath, { force: true });
+            throw error;
         }
+    }
 
-        const subtitles = [];
-        const blocks = content.trim().split(/\n\s*\n/);
-        const errors = [];
-
-        for (let i = 0; i < blocks.length; i++) {
-            const block = blocks[i];
-            try {
-                const lines = block.trim().split('\n');
-
-                if (lines.length < 2) {
-                    errors.push(`Block ${i + 1}: insufficient lines (${lines.length})`);
-                    continue;
-                }
-
-                const index = parseInt(lines[0]);
-                if (isNaN(index)) {
-                    errors.push(`Block ${i + 1}: invalid subtitle index: "${lines[0]}"`);
-                    continue;
-                }
-
-                const timeRange = lines[1];
-                if (!timeRange.includes(' --> ')) {
-                    errors.push(`Block ${i + 1}: invalid time range format: "${timeRange}"`);
-                    continue;
-                }
-
-                const [startTimeStr, endTimeStr] = timeRange.split(' --> ');
-                
-                try {
-                    const startTime = this.parseTimestamp(startTimeStr.trim());
-                    const endTime = this.parseTimestamp(endTimeStr.trim());
-
-                    if (startTime >= endTime) {
-                        errors.push(`Block ${i + 1}: invalid time range: start >= end (${startTimeStr} --> ${endTimeStr})`);
-                        continue;
-                    }
-
-                    let text = '';
-                    if (lines.length > 2) {
-                        text = lines.slice(2).join('\n');
-                        
-                        // Handle formatting based on options
-                        if (!this.options.preserveFormatting) {
-                            text = text.replace(/<[^>]*>/g, ''); // Remove HTML tags
-                            text = text.replace(/\{[^}]*\}/g, ''); // Remove ASS/SSA formatting
-                        }
-                        
-                        text = text.trim();
-                    }
-                    
-                    // Keep text as is, even if empty
-                    subtitles.push({
-                        index,
-                        startTime,
-                        endTime,
-                        text,
-                        duration: endTime - startTime
-                    });
-
-                } catch (timestampError) {
-                    errors.push(`Block ${i + 1}: timestamp error: ${timestampError.message}`);
-                    continue;
+    // writeOutputFile for output given as a sequence of strings
+    // (generateOutputChunks): written while it is generated, in blocks of
+    // about 64 KB, so a large document is never held in memory as a whole
+    async writeOutputStream(outputPath, chunks) {
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        const temporaryPath = this.temporaryPath(outputPath);
+        const blocks = function* () {
+            let block = '';
+            for (const chunk of typeof chunks === 'string' ? [chunks] : chunks) {
+                block += chunk;
+                if (block.length >= 65536) {
+                    yield block;
+                    block = '';
                 }
-
-            } catch (error) {
-                errors.push(`Block ${i + 1}: parsing error: ${error.message}`);
             }
-        }
-
-        if (errors.length > 0) {
-            console.error(`Errors in ${filename}:`);
-            errors.forEach(error => console.error(`  ${error}`));
-        }
-
-        // Sort subtitles by start time to ensure proper ordering
-        subtitles.sort((a, b) => a.startTime - b.startTime);
-
-        return subtitles;
-    }
-
-    // Optimized time slot management
-    addTimeSlots(subtitles) {
-        const uniqueTimes = new Set();
-        
-        for (const subtitle of subtitles) {
-            uniqueTimes.add(subtitle.startTime);
-            uniqueTimes.add(subtitle.endTime);
-        }
-
-        for (const time of uniqueTimes) {
-            if (!this.allTimeSlots.has(time)) {
-                this.allTimeSlots.set(time, `ts${this.timeSlotId++}`);
+            if (block) {
+                yield block;
             }
+        };
+        try {
+            await pipeline(Readable.from(blocks()), fs.createWriteStream(temporaryPath));
+            await fs.promises.rename(temporaryPath, outputPath);
+        } catch (error) {
+            await fs.promises.rm(temporaryPath, { force: true });
+            throw error;
         }
     }
 
-    // Enhanced file processing with better error handling
-    processSRTFile(filePath) {
-        try {
-            if (!fs.existsSync(filePath)) {
-                throw new Error(`File not found: ${filePath}`);
-            }
-
-            const stats = fs.statSync(filePath);
-            if (!stats.isFile()) {
-                throw new Error(`Path is not a file: ${filePath}`);
-            }
-
-            const content = fs.readFileSync(filePath, this.options.encoding);
-            const filename = path.basename(filePath);
-            const subtitles = this.parseSRT(content, filename);
-
-            if (subtitles.length === 0) {
-                return null;
-            }
-
-            this.addTimeSlots(subtitles);
+    // Hidden file next to the output, unique to this process
+    temporaryPath(outputPath) {
+        return path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${process.pid}.tmp`);
+    }
 
-            const baseName = path.basename(filePath, '.srt');
-            const tierName = baseName.replace(/[^a-zA-Z0-9_-]/g, '_');
+    // A converter for one document of a parallel run: its own tiers, time
+    // slots and IDs, but this converter's options, report and encodings
+    createWorker() {
+        const worker = new this.constructor(this.options);
+        worker.report = this.report;
+        worker.fileEncodings = this.fileEncodings;
+        return worker;
+    }
 
-            // Ensure tier name is unique
-            let uniqueTierName = tierName;
-            let counter = 1;
-            while (this.tiers.some(tier => tier.name === uniqueTierName)) {
-                uniqueTierName = `${tierName}_${counter++}`;
+    // task(item, i) for every item, at most `limit` at a time; results in item order
+    async mapBounded(items, limit, task) {
+        const results = new Array(items.length);
+        let next = 0;
+        const lane = async () => {
+            while (next < items.length) {
+                const i = next++;
+                results[i] = await task(items[i], i);
             }
-
-            const tier = {
-                name: uniqueTierName,
-                displayName: baseName,
-                subtitles: subtitles,
-                sourceFile: filePath,
-                totalDuration: Math.max(...subtitles.map(s => s.endTime)) - Math.min(...subtitles.map(s => s.startTime))
-            };
-
-            this.tiers.push(tier);
-            return tier;
-
-        } catch (error) {
-            console.error(`Error processing ${filePath}: ${error.message}`);
-            return null;
-        }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+        return results;
     }
 
     // Improved file discovery with better patterns
@@ -208,7 +119,8 @@ class MultiSRTToELANConverter {
                 throw new Error(`Path is not a directory: ${directory}`);
             }
 
-            const pattern = path.join(directory, '**/*.srt'); // Support subdirectories
+            const extensions = SUBTITLE_EXTENSIONS.map(ext => ext.slice(1)).join(',');
+            const pattern = path.join(directory, `**/*.{${extensions}}`); // Support subdirectories
             const files = glob.sync(pattern, { nocase: true }); // Case insensitive
 
             if (files.length === 0) {
@@ -218,176 +130,309 @@ class MultiSRTToELANConverter {
             return files.sort(); // Sort for consistent processing order
 
         } catch (error) {
-            console.error(`Error finding SRT files: ${error.message}`);
+            console.error(`Error finding subtitle files: ${error.message}`);
             return [];
         }
     }
 
-    // Enhanced ELAN generation with metadata
-    generateELAN(tiers, options = {}) {
-        const { mediaFile = null, author = 'Multi-SRT-to-ELAN-Converter' } = options;
+    // NEW METHOD: Convert each SRT to separate EAF files
+    // Files are read, converted and written by up to `concurrency` workers at
+    // once; progress(done, total) is called after each file. onlyFiles limits
+    // the run to some of the files (--watch)
+    async convertSeparate(directory = './input', options = {}) {
+        const {
+            outputDir = './output', mediaFile = null, audioFile = null, author = null, format = 'eaf', report = false,
+            onlyFiles = null, concurrency = 4, progress = null
+        } = options;
+        const givenMedia = [].concat(mediaFile || [], audioFile || []);
         
-        const sortedTimeSlots = Array.from(this.allTimeSlots.entries())
-            .sort(([timeA], [timeB]) => timeA - timeB);
+        try {
+            this.beginReport();
+            const only = onlyFiles && new Set(onlyFiles.map(file => path.resolve(file)));
+            const srtFiles = this.findSRTFiles(directory).filter(file => !only || only.has(path.resolve(file)));
 
-        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += `<ANNOTATION_DOCUMENT AUTHOR="${this.escapeXML(author)}" `;
-        xml += `DATE="${new Date().toISOString()}" FORMAT="3.0" VERSION="3.0">\n`;
+            if (srtFiles.length === 0) {
+                throw new Error('No subtitle files found in the specified directory');
+            }
 
-        // Enhanced header with metadata
-        xml += '    <HEADER MEDIA_FILE="" TIME_UNITS="milliseconds">\n';
-        if (mediaFile) {
-            const mediaType = this.getMediaType(mediaFile);
-            xml += `        <MEDIA_DESCRIPTOR MEDIA_URL="${this.escapeXML(mediaFile)}" `;
-            xml += `MIME_TYPE="${mediaType}" RELATIVE_MEDIA_URL="${this.escapeXML(path.basename(mediaFile))}"/>\n`;
-        }
-        
-        // Add metadata about conversion
-        xml += '        <PROPERTY NAME="URN">urn:nl-mpi-tools-elan-eaf:srt-converter</PROPERTY>\n';
-        xml += `        <PROPERTY NAME="lastUsedAnnotationId">${this.annotationId - 1}</PROPERTY>\n`;
-        xml += '    </HEADER>\n';
+            // Ensure output directory exists
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
 
-        // Time order
-        xml += '    <TIME_ORDER>\n';
-        for (const [time, slotId] of sortedTimeSlots) {
-            xml += `        <TIME_SLOT TIME_SLOT_ID="${slotId}" TIME_VALUE="${time}"/>\n`;
-        }
-        xml += '    </TIME_ORDER>\n';
+            console.log(`Found ${srtFiles.length} subtitle file(s). Creating separate ${format === 'eaf' ? 'EAF' : format} files...\n`);
+
+            // Report entries in file order, however the workers finish
+            srtFiles.forEach(srtFile => this.fileReport(srtFile));
+            let done = 0;
+
+            const outcomes = await this.mapBounded(srtFiles, concurrency, async (srtFile) => {
+                // Each file gets a fresh converter, so parallel files cannot share state
+                const worker = this.createWorker();
+                try {
+                    const tiers = worker.processInputFile(srtFile, await fs.promises.readFile(srtFile));
+                    
+                    if (tiers.length === 0) {
+                        return null;
+                    }
+
+                    // Create output filename, mirroring subfolders of the input directory
+                    // so equal file names in different folders do not overwrite each other
+                    const baseName = path.basename(srtFile, path.extname(srtFile));
+                    const relativePath = path.join(path.relative(directory, path.dirname(srtFile)), `${baseName}${OUTPUT_WRITERS[format].extension}`);
+                    const outputPath = path.join(outputDir, relativePath);
+
+                    // Each file gets its own media unless --media was given
+                    const mediaFiles = givenMedia.length > 0 ? givenMedia : worker.findPairedMedia(srtFile);
+                    const media = worker.describeMedia(mediaFiles, outputPath);
+                    worker.checkMediaDuration(tiers, media);
+                    await this.writeOutputStream(outputPath, worker.generateOutputChunks(tiers, format, { mediaFile: media, author }));
+
+                    const annotations = tiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
+                    const { encoding } = this.fileEncodings.get(srtFile);
+                    const mediaNote = mediaFiles.length > 0 ? `, media: ${mediaFiles.map(file => path.basename(file)).join(', ')}` : '';
+                    // A progress line replaces the line per file
+                    if (!progress) {
+                        console.log(`✓ Created: ${relativePath} (${annotations} annotations, ${encoding}${mediaNote})`);
+                    }
 
-        // Generate tiers with enhanced metadata
-        for (const tier of tiers) {
-            xml += `    <TIER LINGUISTIC_TYPE_REF="default-lt" TIER_ID="${tier.name}" `;
-            xml += `PARTICIPANT="${this.escapeXML(tier.displayName)}">\n`;
+                    return {
+                        srtFile: path.relative(directory, srtFile),
+                        eafFile: relativePath,
+                        annotations: annotations,
+                        encoding: encoding,
+                        media: mediaFiles,
+                        outputPath: outputPath
+                    };
 
-            for (const subtitle of tier.subtitles) {
-                const startSlotId = this.allTimeSlots.get(subtitle.startTime);
-                const endSlotId = this.allTimeSlots.get(subtitle.endTime);
-                const annotationId = `a${this.annotationId++}`;
+                } catch (error) {
+                    // Read errors happen before the parser could record them
+                    const entry = this.fileReport(srtFile);
+                    entry.error = entry.error || error.message;
+                    console.error(`✗ Failed: ${path.basename(srtFile)} - ${error.message}`);
+                    return null;
+                } finally {
+                    this.addSnapReport(worker.snapReport);
+                    if (progress) {
+                        progress(++done, srtFiles.length);
+                    }
+                }
+            });
 
-                xml += `        <ANNOTATION>\n`;
-                xml += `            <ALIGNABLE_ANNOTATION ANNOTATION_ID="${annotationId}" `;
-                xml += `TIME_SLOT_REF1="${startSlotId}" TIME_SLOT_REF2="${endSlotId}">\n`;
-                xml += `                <ANNOTATION_VALUE>${this.escapeXML(subtitle.text)}</ANNOTATION_VALUE>\n`;
-                xml += `            </ALIGNABLE_ANNOTATION>\n`;
-                xml += `        </ANNOTATION>\n`;
+            const results = outcomes.filter(Boolean);
+            const failedFiles = srtFiles.filter((srtFile, i) => !outcomes[i]);
+
+            console.log(`\n${'='.repeat(60)}`);
+            console.log(`Successfully converted: ${results.length}/${srtFiles.length} files`);
+            if (failedFiles.length > 0) {
+                console.log(`Failed: ${failedFiles.length} file(s)`);
             }
+            console.log(`Output directory: ${outputDir}`);
+            console.log(`${'='.repeat(60)}\n`);
+
+            return {
+                totalFiles: srtFiles.length,
+                successCount: results.length,
+                failedCount: failedFiles.length,
+                outputDir: outputDir,
+                results: results,
+                failedFiles: failedFiles.map(f => path.basename(f)),
+                ...(report && { report: this.buildReport() })
+            };
 
-            xml += '    </TIER>\n';
+        } catch (error) {
+            console.error(`Conversion failed: ${error.message}`);
+            throw error;
         }
+    }
 
-        // Linguistic types
-        xml += '    <LINGUISTIC_TYPE GRAPHIC_REFERENCES="false" LINGUISTIC_TYPE_ID="default-lt" ';
-        xml += 'TIME_ALIGNABLE="true"/>\n';
+    // --group key of a file: its folder relative to the input directory, or that
+    // folder plus the file's stem (story.srt and story.en.srt share "story")
+    groupKey(filePath, directory, group) {
+        const folder = path.relative(directory, path.dirname(filePath));
+        if (group === 'dir') {
+            return folder;
+        }
+        const name = path.basename(filePath, path.extname(filePath));
+        const match = LANGUAGE_SUFFIX.exec(name);
+        return path.join(folder, match ? match[1] : name);
+    }
 
-        xml += '</ANNOTATION_DOCUMENT>\n';
+    // Media for a group: files named like the group next to its subtitles
+    // (video and audio may both be there), else the folder's only media file
+    // unless onlyNamed is set
+    findGroupMedia(folder, name, onlyNamed = false) {
+        const media = fs.readdirSync(folder)
+            .filter(file => MEDIA_TYPES[path.extname(file).toLowerCase()])
+            .sort();
+        const named = media.filter(file => path.basename(file, path.extname(file)) === name);
+        const found = named.length > 0 || onlyNamed ? named : media.length === 1 ? media : [];
+        return found.map(file => path.join(folder, file));
+    }
 
-        return xml;
+    // Media with the same basename as a subtitle file (story.en.srt pairs
+    // with story.mp4 too). Other media in the folder belong to other files
+    findPairedMedia(srtFile) {
+        const name = path.basename(srtFile, path.extname(srtFile));
+        const match = LANGUAGE_SUFFIX.exec(name);
+        const named = this.findGroupMedia(path.dirname(srtFile), name, true);
+        return named.length > 0 || !match ? named : this.findGroupMedia(path.dirname(srtFile), match[1], true);
     }
 
-    // Helper method to determine media type
-    getMediaType(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        const mediaTypes = {
-            '.mp4': 'video/mp4',
-            '.avi': 'video/x-msvideo',
-            '.mov': 'video/quicktime',
-            '.mkv': 'video/x-matroska',
-            '.mp3': 'audio/mpeg',
-            '.wav': 'audio/wav',
-            '.m4a': 'audio/mp4'
-        };
-        return mediaTypes[ext] || 'video/*';
+    // MEDIA_DESCRIPTOR entries for a document written to outputPath: an
+    // absolute file:// URL, a URL relative to the document and the duration
+    // from the file's header. The first video is the main media; audio files
+    // next to it are marked as extracted from it
+    describeMedia(mediaFiles, outputPath) {
+        const documentDir = path.dirname(path.resolve(outputPath));
+        const media = mediaFiles.map(file => {
+            // Already a URL (http://, file://, ...): written as given
+            if (/^[a-z][a-z0-9+.-]+:\/\//i.test(file)) {
+                return { url: file, mimeType: this.getMediaType(file) };
+            }
+            const absolute = path.resolve(file);
+            const relative = path.relative(documentDir, absolute).split(path.sep).join('/');
+            const exists = fs.existsSync(absolute);
+            if (!exists) {
+                console.error(`Warning: media file not found: ${file}`);
+            }
+            return {
+                url: pathToFileURL(absolute).href,
+                // Media on another drive cannot be reached relatively
+                relativeUrl: path.isAbsolute(relative) ? null : relative.startsWith('../') ? relative : `./${relative}`,
+                mimeType: this.getMediaType(file),
+                duration: exists ? this.readMediaDuration(absolute) : null
+            };
+        });
+
+        const video = media.find(entry => entry.mimeType.startsWith('video/'));
+        if (!video) {
+            return media;
+        }
+        media.filter(entry => entry.mimeType.startsWith('audio/')).forEach(entry => { entry.extractedFrom = video.url; });
+        return [video, ...media.filter(entry => entry !== video)];
     }
 
-    // Enhanced XML escaping
-    escapeXML(text) {
-        if (typeof text !== 'string') {
-            return String(text);
+    // Duration of a media file in milliseconds, reading only its headers
+    readMediaDuration(mediaFile) {
+        let fd = null;
+        try {
+            fd = fs.openSync(mediaFile, 'r');
+            const size = fs.fstatSync(fd).size;
+            const read = (offset, length) => {
+                const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+                fs.readSync(fd, buffer, 0, buffer.length, offset);
+                return buffer;
+            };
+            const duration = this.parseMediaDuration(read, size);
+            if (duration === null) {
+                console.error(`Note: duration of ${path.basename(mediaFile)} unknown; annotations are not checked against it`);
+            }
+            return duration;
+        } catch (error) {
+            console.error(`Warning: cannot read ${mediaFile}: ${error.message}`);
+            return null;
+        } finally {
+            if (fd !== null) {
+                fs.closeSync(fd);
+            }
         }
-        
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;')
-            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
     }
 
-    // NEW METHOD: Convert each SRT to separate EAF files
-    async convertSeparate(directory = './input', options = {}) {
-        const { outputDir = './output', mediaFile = null, author = null } = options;
-        
+    // GROUPED MODE: one combined document per subfolder (group 'dir') or per
+    // file stem (group 'stem'), written to the same relative place under outputDir.
+    // onlyFiles limits the run to the groups of some files (--watch);
+    // progress(done, total) is called after each group
+    async convertGrouped(directory = './input', options = {}) {
+        const {
+            outputDir = './output', mediaFile = null, audioFile = null, author = null, format = 'eaf', group = 'dir', report = false,
+            onlyFiles = null, progress = null
+        } = options;
+        const givenMedia = [].concat(mediaFile || [], audioFile || []);
+
         try {
+            this.beginReport();
             const srtFiles = this.findSRTFiles(directory);
 
             if (srtFiles.length === 0) {
-                throw new Error('No SRT files found in the specified directory');
+                throw new Error('No subtitle files found in the specified directory');
             }
 
-            // Ensure output directory exists
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            const groups = new Map();
+            for (const srtFile of srtFiles) {
+                const key = this.groupKey(srtFile, directory, group);
+                groups.set(key, [...(groups.get(key) || []), srtFile]);
+            }
+            if (onlyFiles) {
+                const keys = new Set(onlyFiles.map(file => this.groupKey(file, directory, group)));
+                Array.from(groups.keys()).filter(key => !keys.has(key)).forEach(key => groups.delete(key));
             }
 
             const results = [];
-            const failedFiles = [];
+            const failedGroups = [];
 
-            console.log(`Found ${srtFiles.length} SRT file(s). Creating separate EAF files...\n`);
+            console.log(`Found ${srtFiles.length} subtitle file(s) in ${groups.size} group(s). Creating one ${format === 'eaf' ? 'EAF' : format} file per ${group === 'dir' ? 'folder' : 'stem'}...\n`);
 
-            for (const srtFile of srtFiles) {
-                try {
-                    // Reset state for each file
-                    this.allTimeSlots.clear();
-                    this.timeSlotId = 1;
-                    this.annotationId = 1;
-                    this.tiers = [];
+            for (const [key, files] of groups) {
+                // Files directly in the input directory are named after it
+                const name = key ? path.basename(key) : path.basename(path.resolve(directory));
+                const relativePath = `${key || name}${OUTPUT_WRITERS[format].extension}`;
+                const outputPath = path.join(outputDir, relativePath);
 
-                    const tier = this.processSRTFile(srtFile);
-                    
-                    if (!tier) {
-                        failedFiles.push(srtFile);
-                        continue;
-                    }
-
-                    const elanXML = this.generateELAN([tier], { mediaFile, author });
+                try {
+                    this.resetState();
 
-                    // Create output filename
-                    const baseName = path.basename(srtFile, '.srt');
-                    const outputPath = path.join(outputDir, `${baseName}.eaf`);
+                    const media = givenMedia.length > 0 ? givenMedia : this.findGroupMedia(path.dirname(files[0]), name);
+                    const { output, tiers, failedFiles } = this.buildDocument(
+                        files.map(filePath => ({ name: filePath })),
+                        { mediaFile: this.describeMedia(media, outputPath), author, format, stream: true }
+                    );
 
-                    fs.writeFileSync(outputPath, elanXML, 'utf8');
+                    await this.writeOutputStream(outputPath, output);
 
-                    console.log(`✓ Created: ${path.basename(outputPath)} (${tier.subtitles.length} annotations)`);
+                    const annotations = tiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
+                    const mediaNote = media.length > 0 ? `, media: ${media.map(file => path.basename(file)).join(', ')}` : '';
+                    if (!progress) {
+                        console.log(`✓ Created: ${relativePath} (${tiers.length} tiers, ${annotations} annotations${mediaNote})`);
+                    }
 
                     results.push({
-                        srtFile: path.basename(srtFile),
-                        eafFile: path.basename(outputPath),
-                        annotations: tier.subtitles.length,
-                        outputPath: outputPath
+                        group: key || name,
+                        srtFiles: files.map(file => path.relative(directory, file)),
+                        eafFile: relativePath,
+                        tiersCreated: tiers.length,
+                        annotations,
+                        media,
+                        failedFiles: failedFiles.map(file => path.relative(directory, file)),
+                        outputPath
                     });
 
                 } catch (error) {
-                    console.error(`✗ Failed: ${path.basename(srtFile)} - ${error.message}`);
-                    failedFiles.push(srtFile);
+                    console.error(`✗ Failed: ${key || name} - ${error.message}`);
+                    failedGroups.push(key || name);
+                }
+
+                if (progress) {
+                    progress(results.length + failedGroups.length, groups.size);
                 }
             }
 
             console.log(`\n${'='.repeat(60)}`);
-            console.log(`Successfully converted: ${results.length}/${srtFiles.length} files`);
-            if (failedFiles.length > 0) {
-                console.log(`Failed: ${failedFiles.length} file(s)`);
+            console.log(`Successfully converted: ${results.length}/${groups.size} groups`);
+            if (failedGroups.length > 0) {
+                console.log(`Failed: ${failedGroups.length} group(s)`);
             }
             console.log(`Output directory: ${outputDir}`);
             console.log(`${'='.repeat(60)}\n`);
 
             return {
-                totalFiles: srtFiles.length,
+                totalGroups: groups.size,
                 successCount: results.length,
-                failedCount: failedFiles.length,
-                outputDir: outputDir,
-                results: results,
-                failedFiles: failedFiles.map(f => path.basename(f))
+                failedCount: failedGroups.length,
+                outputDir,
+                results,
+                failedGroups,
+                ...(report && { report: this.buildReport() })
             };
 
         } catch (error) {
@@ -396,64 +441,50 @@ class MultiSRTToELANConverter {
         }
     }
 
+    // Combined output without --output: a timestamped file in ./output
+    defaultOutputPath(format = 'eaf') {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        return path.join('./output', `multi-srt-${timestamp}${OUTPUT_WRITERS[format].extension}`);
+    }
+
     // Main conversion method with comprehensive error handling (COMBINED MODE)
     async convertMultiple(directory = './input', options = {}) {
-        const { outputPath = null, mediaFile = null, author = null } = options;
+        const { outputPath = null, mediaFile = null, audioFile = null, author = null, format = 'eaf', into = null, report = false } = options;
         
         try {
             // Reset state for new conversion
-            this.allTimeSlots.clear();
-            this.timeSlotId = 1;
-            this.annotationId = 1;
-            this.tiers = [];
+            this.resetState();
+            this.beginReport();
+            const mergeTarget = into ? this.prepareMerge(into) : null;
 
             const srtFiles = this.findSRTFiles(directory);
 
             if (srtFiles.length === 0) {
-                throw new Error('No SRT files found in the specified directory');
+                throw new Error('No subtitle files found in the specified directory');
             }
 
-            const validTiers = [];
-            const failedFiles = [];
-
-            for (const filePath of srtFiles) {
-                const tier = this.processSRTFile(filePath);
-                if (tier) {
-                    validTiers.push(tier);
-                } else {
-                    failedFiles.push(filePath);
-                }
-            }
-
-            if (validTiers.length === 0) {
-                throw new Error('No valid SRT files could be processed');
-            }
-
-            if (failedFiles.length > 0) {
-                console.error(`Warning: ${failedFiles.length} file(s) could not be processed:`);
-                failedFiles.forEach(file => console.error(`  ${path.basename(file)}`));
-            }
-
-            const elanXML = this.generateELAN(validTiers, { mediaFile, author });
-
             // Determine output path
-            let finalOutputPath = outputPath;
-            if (!finalOutputPath) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-                finalOutputPath = path.join('./output', `multi-srt-${timestamp}.eaf`);
-            }
-
-            // Ensure output directory exists
-            const outputDir = path.dirname(finalOutputPath);
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            const finalOutputPath = outputPath || (mergeTarget && mergeTarget.path) || this.defaultOutputPath(format);
+
+            const { output, tiers: validTiers, translations, failedFiles } = this.buildDocument(
+                srtFiles.map(filePath => ({ name: filePath })),
+                { mediaFile: this.describeMedia([].concat(mediaFile || [], audioFile || []), finalOutputPath), author, format, mergeTarget, stream: true }
+            );
+            if (mergeTarget && !outputPath) {
+                this.backupMergeTarget(mergeTarget);
             }
 
-            fs.writeFileSync(finalOutputPath, elanXML, 'utf8');
+            await this.writeOutputStream(finalOutputPath, output);
 
             // Final confirmation message
             const totalAnnotations = validTiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
-            console.log(`Successfully converted ${validTiers.length} SRT file(s) to ${path.basename(finalOutputPath)} with ${totalAnnotations} annotations`);
+            console.log(`Successfully converted ${srtFiles.length - failedFiles.length} subtitle file(s) to ${path.basename(finalOutputPath)} with ${totalAnnotations} annotations`);
+            const encodings = Array.from(this.fileEncodings, ([file, { encoding, replacements }]) => ({
+                file: path.basename(file),
+                encoding,
+                replacements
+            }));
+            console.log(`Encodings: ${encodings.map(entry => `${entry.file} (${entry.encoding})`).join(', ')}`);
 
             return {
                 outputPath: finalOutputPath,
@@ -462,9 +493,13 @@ class MultiSRTToELANConverter {
                 failedFiles: failedFiles.length,
                 tiers: validTiers.map(t => ({
                     name: t.name,
+                    parent: t.parentRef || null,
                     subtitles: t.subtitles.length,
                     duration: t.totalDuration
-                }))
+                })),
+                translations,
+                encodings,
+                ...(report && { report: this.buildReport() })
             };
 
         } catch (error) {
@@ -474,44 +509,321 @@ class MultiSRTToELANConverter {
     }
 
     // Single file conversion with same improvements
-    convertSingle(srtFilePath, options = {}) {
-        const { outputPath = null, mediaFile = null, author = null } = options;
+    async convertSingle(srtFilePath, options = {}) {
+        const { outputPath = null, mediaFile = null, audioFile = null, author = null, format = 'eaf', into = null, report = false } = options;
         
         try {
             // Reset state
-            this.allTimeSlots.clear();
-            this.timeSlotId = 1;
-            this.annotationId = 1;
-            this.tiers = [];
+            this.resetState();
+            this.beginReport();
+            const mergeTarget = into ? this.prepareMerge(into) : null;
 
-            const tier = this.processSRTFile(srtFilePath);
-            if (!tier) {
-                throw new Error('Failed to process SRT file');
+            const tiers = this.processInputFile(srtFilePath);
+            if (tiers.length === 0) {
+                throw new Error('Failed to process subtitle file');
             }
 
-            const elanXML = this.generateELAN([tier], { mediaFile, author });
-
-            let finalOutputPath = outputPath;
+            let finalOutputPath = outputPath || (mergeTarget && mergeTarget.path);
             if (!finalOutputPath) {
                 const inputDir = path.dirname(srtFilePath);
-                const baseName = path.basename(srtFilePath, '.srt');
-                finalOutputPath = path.join(inputDir, `${baseName}.eaf`);
+                const baseName = path.basename(srtFilePath, path.extname(srtFilePath));
+                finalOutputPath = path.join(inputDir, `${baseName}${OUTPUT_WRITERS[format].extension}`);
+            }
+
+            // Media named like the subtitle file unless --media was given
+            const givenMedia = [].concat(mediaFile || [], audioFile || []);
+            const mediaFiles = givenMedia.length > 0 || mergeTarget ? givenMedia : this.findPairedMedia(srtFilePath);
+            const media = this.describeMedia(mediaFiles, finalOutputPath);
+            this.checkMediaDuration(tiers, media);
+
+            const output = mergeTarget
+                ? this.mergeIntoELAN(mergeTarget, tiers, { mediaFile: media })
+                : this.generateOutputChunks(tiers, format, { mediaFile: media, author });
+            if (mergeTarget && !outputPath) {
+                this.backupMergeTarget(mergeTarget);
+            }
+
+            await this.writeOutputStream(finalOutputPath, output);
+
+            const totalAnnotations = tiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
+            const { encoding } = this.fileEncodings.get(srtFilePath);
+            console.log(`Successfully converted ${path.basename(srtFilePath)} (${encoding}) to ${path.basename(finalOutputPath)} with ${totalAnnotations} annotations`);
+
+            return {
+                outputPath: finalOutputPath,
+                tiersCreated: tiers.length,
+                totalAnnotations,
+                encoding,
+                ...(report && { report: this.buildReport() })
+            };
+
+        } catch (error) {
+            console.error(`Conversion failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Read a manifest and resolve its paths against the manifest's folder. Every
+    // problem, including missing sources, is reported at once before anything
+    // is converted
+    loadManifest(manifestPath) {
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Cannot read manifest ${manifestPath}: ${error.message}`);
+        }
+
+        const { documents, errors } = this.validateManifest(manifest);
+        const baseDir = path.dirname(manifestPath);
+        const resolve = file => (path.isAbsolute(file) ? file : path.join(baseDir, file));
+        const outputs = new Set();
+
+        documents.forEach((document, d) => {
+            if (!document) {
+                return;
+            }
+            document.media = document.media.map(resolve);
+            if (document.output) {
+                document.output = resolve(document.output);
+                if (outputs.has(document.output)) {
+                    errors.push(`documents[${d}].output: ${document.output} is written by an earlier document too`);
+                }
+                outputs.add(document.output);
+            }
+            document.tiers.forEach((tier, t) => {
+                if (!tier || tier.content !== undefined) {
+                    return;
+                }
+                tier.source = resolve(tier.source);
+                if (!fs.existsSync(tier.source) || !fs.statSync(tier.source).isFile()) {
+                    errors.push(`documents[${d}].tiers[${t}].source: file not found: ${tier.source}`);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid manifest ${manifestPath}:\n  ${errors.join('\n  ')}`);
+        }
+
+        return documents;
+    }
+
+    // Convert every document a manifest describes
+    async convertManifest(manifestPath, options = {}) {
+        const { mediaFile = null, audioFile = null, author = null, report = false } = options;
+        // Validation errors already list every problem; no summary line needed
+        const documents = this.loadManifest(manifestPath);
+
+        try {
+            this.beginReport();
+            const results = [];
+
+            for (const document of documents) {
+                this.resetState();
+                const media = document.media.length > 0 ? document.media : [].concat(mediaFile || [], audioFile || []);
+                document.media = this.describeMedia(media, document.output);
+                const { output, tiers } = this.buildManifestDocument(document, { author, stream: true });
+
+                await this.writeOutputStream(document.output, output);
+
+                const annotations = tiers.reduce((sum, tier) => sum + tier.subtitles.length, 0);
+                console.log(`✓ Created: ${document.output} (${tiers.length} tiers, ${annotations} annotations)`);
+                results.push({
+                    outputPath: document.output,
+                    tiersCreated: tiers.length,
+                    totalAnnotations: annotations,
+                    tiers: tiers.map(tier => ({ name: tier.name, parent: tier.parentRef || null, subtitles: tier.subtitles.length }))
+                });
+            }
+
+            return {
+                documents: results,
+                ...(report && { report: this.buildReport() })
+            };
+
+        } catch (error) {
+            console.error(`Conversion failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // --watch: convert once, then again whenever a subtitle file under the
+    // directory (or the --single file) is saved, added or removed. Editors save
+    // in several steps, so changes are debounced. Separate and group mode only
+    // redo the output of the changed file; the other modes rebuild their one
+    // document. Resolves once watching has started, to an object whose close()
+    // stops it
+    async watch(directory = './input', options = {}) {
+        const { mode = 'separate', singleFile = null, debounce = 500, ...convertOptions } = options;
+        const root = path.resolve(singleFile ? path.dirname(singleFile) : directory);
+        // The same combined document every time, not a new timestamped one
+        if (mode === 'combined' && !singleFile && !convertOptions.outputPath) {
+            convertOptions.outputPath = this.defaultOutputPath(convertOptions.format);
+        }
+        // Outputs written under the watched directory must not trigger a run
+        const outputs = [convertOptions.outputPath, convertOptions.outputDir || './output']
+            .filter(Boolean)
+            .map(output => path.resolve(output));
+
+        const convert = (files) => {
+            if (singleFile) {
+                return this.convertSingle(singleFile, convertOptions);
+            }
+            if (mode === 'combined') {
+                return this.convertMultiple(directory, convertOptions);
+            }
+            if (files && mode === 'separate' && !files.some(file => fs.existsSync(file))) {
+                console.log(`Removed: ${files.map(file => path.relative(root, file)).join(', ')} (output left in place)`);
+                return null;
+            }
+            const run = mode === 'group' ? this.convertGrouped : this.convertSeparate;
+            return run.call(this, directory, files ? { ...convertOptions, onlyFiles: files } : convertOptions);
+        };
+
+        // One conversion at a time. Failures were reported by the conversion;
+        // watching goes on, so the next save can fix them
+        let queue = Promise.resolve();
+        const enqueue = (files = null) => {
+            queue = queue.then(() => convert(files)).catch(() => {});
+            return queue;
+        };
+
+        const timers = new Map();
+        const schedule = (file) => {
+            const key = mode === 'combined' || singleFile || !file ? '' : file;
+            clearTimeout(timers.get(key));
+            timers.set(key, setTimeout(() => {
+                timers.delete(key);
+                console.log(`\nChanged: ${file ? path.relative(root, file) : root} (${new Date().toLocaleTimeString()})`);
+                enqueue(key ? [file] : null);
+            }, debounce));
+        };
+
+        await enqueue();
+
+        const watcher = fs.watch(root, { recursive: !singleFile }, (event, filename) => {
+            // Some platforms do not say which file changed
+            if (!filename) {
+                schedule(null);
+                return;
+            }
+            const file = path.join(root, filename.toString());
+            if (!SUBTITLE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+                || (singleFile && file !== path.resolve(singleFile))
+                || outputs.some(output => file === output || file.startsWith(output + path.sep))) {
+                return;
+            }
+            schedule(file);
+        });
+        console.log(`\nWatching ${root} for changes (Ctrl+C to stop)...`);
+
+        return {
+            close: () => {
+                watcher.close();
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+            }
+        };
+    }
+
+    // --dry-run: read the inputs and list, rule by rule, the annotations that
+    // normalisation and text rules would change. Nothing is written
+    previewTextRules(srtFiles) {
+        const byRule = new Map();
+        for (const srtFile of srtFiles) {
+            this.resetState();
+            const tiers = this.processInputFile(srtFile);
+            this.applyTextRules(tiers);
+            for (const change of tiers.flatMap(tier => tier.textChanges || [])) {
+                byRule.set(change.rule, [...(byRule.get(change.rule) || []), { file: srtFile, ...change }]);
+            }
+        }
+
+        console.log(`\nDry run: ${srtFiles.length} file(s), nothing written\n`);
+        for (const [rule, changes] of byRule) {
+            console.log(`${rule}: ${changes.length} annotation(s)`);
+            for (const change of changes) {
+                const cue = change.index === null ? `${change.startTime}ms` : `#${change.index}`;
+                console.log(`  ${change.tier} ${cue}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+            }
+        }
+        if (byRule.size === 0) {
+            console.log('No annotation would change.');
+        }
+
+        return Array.from(byRule, ([rule, changes]) => ({ rule, changes }));
+    }
+
+    // Appending without --output updates the document in place, keeping a backup
+    backupMergeTarget(mergeTarget) {
+        fs.copyFileSync(mergeTarget.path, `${mergeTarget.path}.bak`);
+    }
+
+    // Reverse conversion: one SRT file per selected ELAN tier
+    convertEAFToSRT(eafFilePath, options = {}) {
+        const { outputDir = './output', tiers: tierNames = null } = options;
+
+        try {
+            if (!fs.existsSync(eafFilePath)) {
+                throw new Error(`File not found: ${eafFilePath}`);
+            }
+
+            const content = fs.readFileSync(eafFilePath, 'utf8');
+            const { tiers } = this.parseEAF(content, path.basename(eafFilePath));
+            this.restoreFormatting(tiers);
+
+            // The _format and _index tiers of --format-tiers are not subtitles
+            let selectedTiers = tiers.filter(tier => !this.isFormatTier(tier));
+            if (tierNames && tierNames.length > 0) {
+                const missing = tierNames.filter(name => !tiers.some(tier => tier.name === name));
+                if (missing.length > 0) {
+                    throw new Error(`Tier(s) not found: ${missing.join(', ')} (available: ${tiers.map(t => t.name).join(', ')})`);
+                }
+                selectedTiers = tiers.filter(tier => tierNames.includes(tier.name));
             }
 
             // Ensure output directory exists
-            const outputDir = path.dirname(finalOutputPath);
             if (!fs.existsSync(outputDir)) {
                 fs.mkdirSync(outputDir, { recursive: true });
             }
 
-            fs.writeFileSync(finalOutputPath, elanXML, 'utf8');
+            const results = [];
+            for (const tier of selectedTiers) {
+                if (tier.subtitles.length === 0) {
+                    console.error(`Skipping empty tier: ${tier.name}`);
+                    continue;
+                }
+
+                // Counts are of the blocks written; skipped annotations were reported
+                const blocks = this.generateSRTBlocks(tier.subtitles, tier.name);
+                if (blocks.length === 0) {
+                    console.error(`Skipping tier: ${tier.name} (no annotation could be exported)`);
+                    continue;
+                }
+                const fileName = `${tier.name.replace(/[\\/:*?"<>|]/g, '_')}.srt`;
+                const outputPath = path.join(outputDir, fileName);
+
+                this.writeOutputFile(outputPath, blocks.join('\n\n') + '\n');
+
+                console.log(`✓ Created: ${fileName} (${blocks.length} subtitles)`);
+
+                results.push({
+                    tier: tier.name,
+                    srtFile: fileName,
+                    subtitles: blocks.length,
+                    outputPath: outputPath
+                });
+            }
 
-            console.log(`Successfully converted ${path.basename(srtFilePath)} to ${path.basename(finalOutputPath)} with ${tier.subtitles.length} annotations`);
+            if (results.length === 0) {
+                throw new Error('No tiers with annotations to export');
+            }
 
             return {
-                outputPath: finalOutputPath,
-                tiersCreated: 1,
-                totalAnnotations: tier.subtitles.length
+                eafFile: path.basename(eafFilePath),
+                outputDir: outputDir,
+                results: results
             };
 
         } catch (error) {
@@ -521,26 +833,140 @@ class MultiSRTToELANConverter {
     }
 }
 
+// Text rules for --rules: a JSON list of rules, or { "rules": [...] }
+function readTextRules(rulesPath) {
+    try {
+        return JSON.parse(fs.readFileSync(rulesPath, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Cannot read text rules ${rulesPath}: ${error.message}`);
+    }
+}
+
+// Names a --language, --annotator or --participant value can start with: the
+// input files, their stems (the default tier names), --tiers names and the
+// manifest's tier names. Inputs dropped on the --serve page are not known
+function metadataTargets(config) {
+    const converter = new MultiSRTToELANConverter();
+    let files = [];
+    const names = [...(config.tierNames || [])];
+    if (config.manifestFile) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(config.manifestFile, 'utf8').replace(/^\uFEFF/, ''));
+            for (const document of converter.validateManifest(manifest).documents.filter(Boolean)) {
+                document.tiers.filter(Boolean).forEach(tier => {
+                    names.push(tier.name);
+                    if (tier.source) {
+                        files.push(tier.source);
+                    }
+                });
+            }
+        } catch (error) {
+            // convertManifest reports the unreadable manifest
+        }
+    } else if (config.singleFile) {
+        files = [config.singleFile];
+    } else if (!config.eafFile && config.serve === null) {
+        files = converter.findSRTFiles(config.directory);
+    }
+
+    for (const file of files) {
+        names.push(path.basename(file), path.basename(file, path.extname(file)));
+    }
+    return names.filter(Boolean);
+}
+
+// tierMetadata from the --language, --annotator and --participant values. The
+// text before the first ':' picks a tier or file only when it names one of the
+// targets, or a tier made from one (story_INT for a speaker of story.srt);
+// otherwise the whole value applies to every tier, so --participant="Dr: Smith"
+// stays one name
+function resolveTierMetadataArgs(config) {
+    const targets = config.tierMetadataArgs.some(({ value }) => value.includes(':')) ? metadataTargets(config) : [];
+    const tierMetadata = {};
+    for (const { key, value } of config.tierMetadataArgs) {
+        const separator = value.indexOf(':');
+        const prefix = value.slice(0, Math.max(separator, 0));
+        const named = prefix !== '' && targets.some(name => prefix === name || prefix.startsWith(`${name}_`));
+        const target = named ? prefix : '*';
+        tierMetadata[target] = { ...tierMetadata[target], [key]: named ? value.slice(separator + 1) : value };
+    }
+    return tierMetadata;
+}
+
+// --progress: a counter rewritten in place on a terminal, otherwise a line
+// every tenth of the run
+function progressReporter() {
+    let reported = 0;
+    return (done, total) => {
+        if (process.stdout.isTTY) {
+            process.stdout.write(`\x1b[K${done}/${total} (${Math.floor(done * 100 / total)}%)\r`);
+            if (done === total) {
+                process.stdout.write('\n');
+            }
+        } else if (done === total || Math.floor(done * 10 / total) > reported) {
+            reported = Math.floor(done * 10 / total);
+            console.log(`Progress: ${done}/${total} (${Math.floor(done * 100 / total)}%)`);
+        }
+    };
+}
+
 // Enhanced CLI with better argument parsing and validation
-function main() {
+async function main() {
     const args = process.argv.slice(2);
 
     if (args.includes('--help') || args.includes('-h')) {
         console.log('Multi SRT to ELAN Converter v2.1');
-        console.log('Converts SRT subtitle files to ELAN annotation format\n');
+        console.log('Converts SRT, WebVTT and ASS/SSA subtitle files to ELAN annotation format\n');
         console.log('Usage: node srt-to-elan-separate.js [options]\n');
         console.log('Options:');
-        console.log('  --dir=PATH          Directory to search for SRT files (default: ./input)');
+        console.log('  --dir=PATH          Directory to search for SRT/VTT/ASS/TextGrid files (default: ./input)');
         console.log('  --output-dir=PATH   Output directory for EAF files (default: ./output)');
         console.log('  --output=FILE       Single output ELAN file path (combined mode)');
-        console.log('  --media=FILE        Media file reference for ELAN project');
+        console.log('  --into=FILE         Append tiers to an existing EAF file (implies --combined)');
+        console.log('  --media=FILE        Media file for every output (default: media named like each subtitle file)');
+        console.log('  --audio=FILE        Audio extracted from --media, linked to it as a second media file');
         console.log('  --author=NAME       Author name for ELAN document');
-        console.log('  --single=FILE       Convert single SRT file instead of directory');
+        console.log('  --language=[TIER:]CODE     ISO 639-3 language of all tiers, or of one tier or file (repeatable)');
+        console.log('  --annotator=[TIER:]NAME    Annotator of all tiers, or of one tier or file (repeatable)');
+        console.log('  --participant=[TIER:]NAME  Participant of all tiers, or of one tier or file (repeatable)');
+        console.log('                      TIER: only counts when it names an input file or tier');
+        console.log('  --locale=LOCALE     Document locale, e.g. en or en-US (default: en)');
+        console.log('  --date=DATE         Pin the document date (ISO 8601) for reproducible output');
+        console.log('  --single=FILE       Convert single SRT/VTT/ASS/TextGrid file instead of directory');
         console.log('  --separate          Create separate EAF file for each SRT (DEFAULT)');
         console.log('  --combined          Create one EAF with all SRTs as tiers');
-        console.log('  --encoding=ENC      File encoding (default: utf8)');
+        console.log('  --group=dir|stem    One combined EAF per subfolder or per file stem, mirrored under --output-dir');
+        console.log('  --watch             Convert again whenever a subtitle file is saved, added or removed');
+        console.log('  --jobs=N            Files converted at the same time in separate mode (default: 4)');
+        console.log('  --progress          Show a progress counter instead of a line per file');
+        console.log('  --serve[=PORT]      Open a local web page for converting dropped files (default port: 8080)');
+        console.log('  --eaf2srt=FILE      Export tiers of an EAF file back to SRT (into --output-dir)');
+        console.log('  --manifest=FILE     Convert the documents described in a JSON project manifest');
+        console.log('  --tiers=A,B         Tier names to export with --eaf2srt (default: all)');
+        console.log('  --format=FORMAT     Output format: eaf (default), textgrid, cha (CLAN), tsv or json');
+        console.log('  --encoding=ENC      Input encoding, e.g. utf-8, utf-16le, gb18030, big5, windows-1252 (default: auto)');
+        console.log('  --offset=TIME       Shift all times by milliseconds or [-]HH:MM:SS,mmm');
+        console.log('  --fps=FROM:TO       Rescale times between frame rates, e.g. 25:23.976');
+        console.log('  --anchor=OLD=NEW    Map time OLD to NEW; give twice for a linear resync');
+        console.log('  --resync-tiers=A,B  Apply --offset/--fps/--anchor only to these tiers or files');
+        console.log('  --fix-overlaps      End each cue where the next one on its tier starts');
+        console.log('  --merge-shorter=TIME  Merge cues shorter than TIME into their nearer neighbour');
+        console.log('  --merge-gap=TIME    Merge cues less than TIME apart');
+        console.log('  --split-longer=TIME Split cues longer than TIME at sentence ends');
+        console.log('  --fill-gaps[=TIME]  Add empty annotations in silences (of at least TIME)');
+        console.log('  --snap-tolerance=TIME  Give boundaries on any tier at most TIME apart one shared time slot');
         console.log('  --preserve-format   Keep HTML/formatting tags in text');
-        console.log('  --strict            Enable strict validation (shows warnings)');
+        console.log('  --format-tiers      Move formatting and cue numbers to dependent _format and _index tiers');
+        console.log('  --normalize=FORM    Unicode normalisation of annotation text: NFC, NFD, NFKC or NFKD');
+        console.log('  --rules=FILE        Apply the text replacement rules in a JSON file');
+        console.log('  --dry-run           List what --normalize and --rules would change, without writing');
+        console.log('  --lenient           Recover malformed SRT timing lines and block breaks (corrections are reported)');
+        console.log('  --split-speakers    One tier per speaker label (INT:, [Name], <v Name>) or ASS/SSA actor; - dashes on a _dialogue tier');
+        console.log('  --split-styles      One tier per ASS/SSA style');
+        console.log('  --lines=A,B,...     One tier per cue line: line 1 on tier A, its line 2 on dependent tier B, ...');
+        console.log('  --speaker-pattern=REGEX  Custom speaker label pattern (repeatable, implies --split-speakers)');
+        console.log('  --report=FILE       Write a JSON report of skipped blocks, overlaps, index problems, ...');
+        console.log('  --strict            Exit with status 2 when the report lists any problems');
         console.log('  --help, -h          Show this help message\n');
         console.log('Examples:');
         console.log('  # Create separate EAF files (default):');
@@ -552,7 +978,10 @@ function main() {
         console.log('  node srt-to-elan-separate.js --combined --dir=./subtitles --output=project.eaf');
         console.log('');
         console.log('  # Convert single file:');
-        console.log('  node srt-to-elan-separate.js --single=movie.srt --media=movie.mp4\n');
+        console.log('  node srt-to-elan-separate.js --single=movie.srt --media=movie.mp4');
+        console.log('');
+        console.log('  # Export ELAN tiers back to SRT:');
+        console.log('  node srt-to-elan-separate.js --eaf2srt=project.eaf --tiers=speaker1 --output-dir=./srt\n');
         return;
     }
 
@@ -560,12 +989,39 @@ function main() {
     const config = {
         directory: './input',
         outputFile: null,
+        intoFile: null,
         outputDir: './output',
         mediaFile: null,
+        audioFile: null,
         singleFile: null,
+        eafFile: null,
+        manifestFile: null,
+        group: null,
+        tierNames: null,
         author: null,
-        encoding: 'utf8',
+        tierMetadataArgs: [],
+        locale: 'en',
+        date: null,
+        encoding: 'auto',
+        format: 'eaf',
         preserveFormatting: false,
+        formatTiers: false,
+        lenient: false,
+        normalize: null,
+        rulesFile: null,
+        dryRun: false,
+        watch: false,
+        jobs: 4,
+        progress: false,
+        serve: null,
+        splitSpeakers: false,
+        splitStyles: false,
+        lineRoles: null,
+        speakerPatterns: [],
+        resync: null,
+        segments: null,
+        snapTolerance: null,
+        reportFile: null,
         strictValidation: false,
         separateMode: false,
         combinedMode: false
@@ -576,22 +1032,94 @@ function main() {
             config.directory = arg.substring(6);
         } else if (arg.startsWith('--output=')) {
             config.outputFile = arg.substring(9);
+        } else if (arg.startsWith('--into=')) {
+            config.intoFile = arg.substring(7);
         } else if (arg.startsWith('--output-dir=')) {
             config.outputDir = arg.substring(13);
         } else if (arg.startsWith('--media=')) {
             config.mediaFile = arg.substring(8);
+        } else if (arg.startsWith('--audio=')) {
+            config.audioFile = arg.substring(8);
         } else if (arg.startsWith('--single=')) {
             config.singleFile = arg.substring(9);
+        } else if (arg.startsWith('--manifest=')) {
+            config.manifestFile = arg.substring(11);
+        } else if (arg.startsWith('--eaf2srt=')) {
+            config.eafFile = arg.substring(10);
+        } else if (arg.startsWith('--tiers=')) {
+            config.tierNames = arg.substring(8).split(',').map(name => name.trim()).filter(Boolean);
         } else if (arg.startsWith('--author=')) {
             config.author = arg.substring(9);
+        } else if (/^--(language|annotator|participant)=/.test(arg)) {
+            // --language=eng for every tier, --language=story.en.srt:eng for one;
+            // which one is decided once the inputs are known
+            const [, key, value] = /^--(\w+)=(.*)$/.exec(arg);
+            config.tierMetadataArgs.push({ key, value });
+        } else if (arg.startsWith('--locale=')) {
+            config.locale = arg.substring(9);
+        } else if (arg.startsWith('--date=')) {
+            config.date = arg.substring(7);
+        } else if (arg.startsWith('--format=')) {
+            config.format = arg.substring(9).toLowerCase();
         } else if (arg.startsWith('--encoding=')) {
             config.encoding = arg.substring(11);
         } else if (arg === '--preserve-format') {
             config.preserveFormatting = true;
+        } else if (arg === '--format-tiers') {
+            config.formatTiers = true;
+        } else if (arg.startsWith('--offset=')) {
+            config.resync = { ...config.resync, offset: arg.substring(9) };
+        } else if (arg.startsWith('--fps=')) {
+            config.resync = { ...config.resync, fps: arg.substring(6) };
+        } else if (arg.startsWith('--anchor=')) {
+            config.resync = { ...config.resync, anchors: [...((config.resync && config.resync.anchors) || []), arg.substring(9)] };
+        } else if (arg === '--fix-overlaps') {
+            config.segments = { ...config.segments, fixOverlaps: true };
+        } else if (arg.startsWith('--merge-shorter=')) {
+            config.segments = { ...config.segments, mergeShorter: arg.substring(16) };
+        } else if (arg.startsWith('--merge-gap=')) {
+            config.segments = { ...config.segments, mergeGap: arg.substring(12) };
+        } else if (arg.startsWith('--split-longer=')) {
+            config.segments = { ...config.segments, splitLonger: arg.substring(15) };
+        } else if (arg.startsWith('--snap-tolerance=')) {
+            config.snapTolerance = arg.substring(17);
+        } else if (arg === '--fill-gaps' || arg.startsWith('--fill-gaps=')) {
+            config.segments = { ...config.segments, fillGaps: arg === '--fill-gaps' ? true : arg.substring(12) };
+        } else if (arg.startsWith('--resync-tiers=')) {
+            config.resync = { ...config.resync, tiers: arg.substring(15).split(',').map(name => name.trim()).filter(Boolean) };
+        } else if (arg.startsWith('--normalize=')) {
+            config.normalize = arg.substring(12).toUpperCase();
+        } else if (arg.startsWith('--rules=')) {
+            config.rulesFile = arg.substring(8);
+        } else if (arg === '--dry-run') {
+            config.dryRun = true;
+        } else if (arg === '--watch') {
+            config.watch = true;
+        } else if (arg.startsWith('--jobs=')) {
+            config.jobs = Number(arg.substring(7));
+        } else if (arg === '--progress') {
+            config.progress = true;
+        } else if (arg === '--serve' || arg.startsWith('--serve=')) {
+            config.serve = arg === '--serve' ? 8080 : Number(arg.substring(8));
+        } else if (arg === '--lenient') {
+            config.lenient = true;
+        } else if (arg === '--split-speakers') {
+            config.splitSpeakers = true;
+        } else if (arg === '--split-styles') {
+            config.splitStyles = true;
+        } else if (arg.startsWith('--lines=')) {
+            config.lineRoles = arg.substring(8).split(',').map(role => role.trim());
+        } else if (arg.startsWith('--speaker-pattern=')) {
+            config.speakerPatterns.push(arg.substring(18));
+            config.splitSpeakers = true;
+        } else if (arg.startsWith('--report=')) {
+            config.reportFile = arg.substring(9);
         } else if (arg === '--strict') {
             config.strictValidation = true;
         } else if (arg === '--separate') {
             config.separateMode = true;
+        } else if (arg.startsWith('--group=')) {
+            config.group = arg.substring(8);
         } else if (arg === '--combined') {
             config.combinedMode = true;
         } else {
@@ -600,54 +1128,261 @@ function main() {
         }
     }
 
+    // Grouping decides the documents itself
+    if (config.group) {
+        if (!['dir', 'stem'].includes(config.group)) {
+            console.error(`Unknown grouping: ${config.group} (expected: dir, stem)`);
+            process.exit(1);
+        }
+        if (config.singleFile || config.intoFile || config.outputFile || config.eafFile || config.manifestFile
+            || config.separateMode || config.combinedMode) {
+            console.error('--group cannot be combined with --single, --into, --output, --eaf2srt, --manifest, --separate or --combined');
+            process.exit(1);
+        }
+    }
+
+    // Watching converts subtitle files again and again; the rest run once
+    if (config.watch && (config.intoFile || config.eafFile || config.manifestFile || config.dryRun || config.reportFile)) {
+        console.error('--watch cannot be combined with --into, --eaf2srt, --manifest, --dry-run or --report');
+        process.exit(1);
+    }
+
+    // A dry run previews text changes only
+    if (config.dryRun && !config.normalize && !config.rulesFile) {
+        console.error('--dry-run needs --normalize or --rules');
+        process.exit(1);
+    }
+
+    // A cue's lines go either to speakers or to line roles
+    if (config.lineRoles && (config.splitSpeakers || config.splitStyles)) {
+        console.error('--lines cannot be combined with --split-speakers, --speaker-pattern or --split-styles');
+        process.exit(1);
+    }
+
+    // Extracted audio points at a video
+    if (config.audioFile && !config.mediaFile) {
+        console.error('--audio needs --media: the video the audio was extracted from');
+        process.exit(1);
+    }
+
+    // A manifest names its own sources and outputs
+    if (config.manifestFile && (config.singleFile || config.eafFile || config.intoFile)) {
+        console.error('--manifest cannot be combined with --single, --eaf2srt or --into');
+        process.exit(1);
+    }
+
+    // Appending always produces one document
+    if (config.intoFile) {
+        if (config.separateMode) {
+            console.error('--into cannot be combined with --separate');
+            process.exit(1);
+        }
+        if (config.format !== 'eaf') {
+            console.error('--into only supports --format=eaf');
+            process.exit(1);
+        }
+        config.combinedMode = true;
+    }
+
     // Default to separate mode if neither specified
     if (!config.separateMode && !config.combinedMode) {
         config.separateMode = true;
     }
 
+    // Progress counts the files of separate mode and the documents of --group
+    if (config.progress && (config.watch || config.singleFile || config.eafFile || config.manifestFile || config.dryRun
+        || config.serve !== null || !(config.separateMode || config.group))) {
+        console.error('--progress only works with separate mode or --group, and not with --watch');
+        process.exit(1);
+    }
+
+    if (!OUTPUT_WRITERS[config.format]) {
+        console.error(`Unknown output format: ${config.format} (expected: ${Object.keys(OUTPUT_WRITERS).join(', ')})`);
+        process.exit(1);
+    }
+
+    // The web page chooses files, tiers and the output itself
+    if (config.serve !== null) {
+        if (!Number.isInteger(config.serve) || config.serve < 0 || config.serve > 65535) {
+            console.error('--serve needs a port number between 0 and 65535');
+            process.exit(1);
+        }
+        if (config.singleFile || config.intoFile || config.outputFile || config.eafFile || config.manifestFile
+            || config.group || config.watch || config.dryRun || config.reportFile) {
+            console.error('--serve cannot be combined with --single, --into, --output, --eaf2srt, --manifest, --group, --watch, --dry-run or --report');
+            process.exit(1);
+        }
+    }
+
+    if (!Number.isInteger(config.jobs) || config.jobs < 1) {
+        console.error('--jobs needs a positive whole number');
+        process.exit(1);
+    }
+
+    if (config.encoding !== 'auto') {
+        try {
+            new TextDecoder(config.encoding);
+        } catch (error) {
+            if (!Buffer.isEncoding(config.encoding)) {
+                console.error(`Unknown encoding: ${config.encoding}`);
+                process.exit(1);
+            }
+        }
+    }
+
     // Validate paths
     if (config.singleFile && !fs.existsSync(config.singleFile)) {
         console.error(`File not found: ${config.singleFile}`);
         process.exit(1);
     }
 
-    if (!config.singleFile && !fs.existsSync(config.directory)) {
+    if (config.intoFile && !fs.existsSync(config.intoFile)) {
+        console.error(`File not found: ${config.intoFile}`);
+        process.exit(1);
+    }
+
+    if (config.eafFile && !fs.existsSync(config.eafFile)) {
+        console.error(`File not found: ${config.eafFile}`);
+        process.exit(1);
+    }
+
+    if (config.manifestFile && !fs.existsSync(config.manifestFile)) {
+        console.error(`File not found: ${config.manifestFile}`);
+        process.exit(1);
+    }
+
+    if (!config.singleFile && !config.eafFile && !config.manifestFile && config.serve === null && !fs.existsSync(config.directory)) {
         console.error(`Directory not found: ${config.directory}`);
         process.exit(1);
     }
 
+    let converter = null;
     try {
-        const converter = new MultiSRTToELANConverter({
+        converter = new MultiSRTToELANConverter({
             encoding: config.encoding,
             preserveFormatting: config.preserveFormatting,
+            formatTiers: config.formatTiers,
+            lenient: config.lenient,
+            normalize: config.normalize,
+            textRules: config.rulesFile ? readTextRules(config.rulesFile) : [],
+            splitSpeakers: config.splitSpeakers,
+            splitStyles: config.splitStyles,
+            lineRoles: config.lineRoles,
+            ...(config.speakerPatterns.length > 0 && { speakerPatterns: config.speakerPatterns }),
+            resync: config.resync,
+            segments: config.segments,
+            snapTolerance: config.snapTolerance,
+            tierMetadata: resolveTierMetadataArgs(config),
+            locale: config.locale,
+            date: config.date,
             strictValidation: config.strictValidation
         });
 
-        if (config.singleFile) {
-            converter.convertSingle(config.singleFile, {
+        if (config.serve !== null) {
+            const server = new ConverterServer(converter.options);
+            const url = await server.listen(config.serve);
+            console.log(`Converter page: ${url} (Ctrl+C to stop)`);
+            process.once('SIGINT', () => {
+                server.close();
+                console.log('\nStopped serving');
+            });
+            return;
+        } else if (config.dryRun) {
+            converter.previewTextRules(config.singleFile ? [config.singleFile] : converter.findSRTFiles(config.directory));
+        } else if (config.watch) {
+            const watcher = await converter.watch(config.directory, {
+                mode: config.group ? 'group' : config.separateMode ? 'separate' : 'combined',
+                singleFile: config.singleFile,
                 outputPath: config.outputFile,
+                outputDir: config.outputDir,
+                mediaFile: config.mediaFile,
+                audioFile: config.audioFile,
+                author: config.author,
+                format: config.format,
+                group: config.group,
+                concurrency: config.jobs
+            });
+            process.once('SIGINT', () => {
+                watcher.close();
+                console.log('\nStopped watching');
+            });
+            return;
+        } else if (config.manifestFile) {
+            await converter.convertManifest(config.manifestFile, {
                 mediaFile: config.mediaFile,
+                audioFile: config.audioFile,
                 author: config.author
             });
+        } else if (config.eafFile) {
+            converter.convertEAFToSRT(config.eafFile, {
+                outputDir: config.outputDir,
+                tiers: config.tierNames
+            });
+        } else if (config.singleFile) {
+            await converter.convertSingle(config.singleFile, {
+                outputPath: config.outputFile,
+                mediaFile: config.mediaFile,
+                audioFile: config.audioFile,
+                author: config.author,
+                format: config.format,
+                into: config.intoFile
+            });
+        } else if (config.group) {
+            await converter.convertGrouped(config.directory, {
+                outputDir: config.outputDir,
+                mediaFile: config.mediaFile,
+                audioFile: config.audioFile,
+                author: config.author,
+                format: config.format,
+                group: config.group,
+                progress: config.progress ? progressReporter() : null
+            });
         } else if (config.separateMode) {
             // NEW: Separate mode - one EAF per SRT
-            converter.convertSeparate(config.directory, {
+            await converter.convertSeparate(config.directory, {
                 outputDir: config.outputDir,
                 mediaFile: config.mediaFile,
-                author: config.author
+                audioFile: config.audioFile,
+                author: config.author,
+                format: config.format,
+                concurrency: config.jobs,
+                progress: config.progress ? progressReporter() : null
             });
         } else {
             // Default: Combined mode - one EAF with multiple tiers
-            converter.convertMultiple(config.directory, {
+            await converter.convertMultiple(config.directory, {
                 outputPath: config.outputFile,
                 mediaFile: config.mediaFile,
-                author: config.author
+                audioFile: config.audioFile,
+                author: config.author,
+                format: config.format,
+                into: config.intoFile
             });
         }
 
     } catch (error) {
         console.error(`Error: ${error.message}`);
-        process.exit(1);
+        process.exitCode = 1;
+    }
+
+    // The report also covers runs that failed part-way
+    if (converter && !config.eafFile) {
+        const report = converter.buildReport();
+
+        if (config.reportFile) {
+            try {
+                fs.writeFileSync(config.reportFile, JSON.stringify(report, null, 2) + '\n', 'utf8');
+                console.log(`Report written to ${config.reportFile}`);
+            } catch (error) {
+                console.error(`Error writing report: ${error.message}`);
+                process.exitCode = 1;
+            }
+        }
+
+        if (config.strictValidation && report.totals.problems > 0) {
+            console.error(`Strict validation: ${report.totals.problems} problem(s) found`);
+            process.exitCode = process.exitCode || 2;
+        }
     }
 }
 